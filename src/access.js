@@ -0,0 +1,215 @@
+/**
+ * Access control: who may use the bot, what they may do, and where.
+ *
+ * Roles (lowest to highest):
+ *  - viewer:   may use read-only commands, but not start runs or change settings
+ *  - operator: may start runs, stop them and change thread settings
+ *  - admin:    everything, including seeing the access configuration
+ *
+ * Configuration comes from an optional JSON file (OPENCODE_ACCESS_FILE):
+ *
+ *   {
+ *     "dirs":   ["/srv/repos"],                        // default roots (optional)
+ *     "users":  { "U0123": { "role": "admin" },
+ *                 "U0456": { "role": "operator", "dirs": ["/home/me/work"] } },
+ *     "groups": { "S0789": { "role": "viewer" } }      // Slack user groups
+ *   }
+ *
+ * ALLOWED_USER_ID, if set, is always an unrestricted admin.
+ *
+ * An explicit user entry wins over group membership. A user in several groups
+ * gets the highest role and the union of their directory roots. Entries
+ * without "dirs" fall back to the top-level "dirs"; if neither is set the
+ * user is not restricted to any directory.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+const ROLES = ["viewer", "operator", "admin"];
+
+// Minimum role for each permission
+const PERMISSIONS = {
+  view: "viewer",
+  run: "operator",
+  admin: "admin",
+};
+
+const GROUP_CACHE_TTL_MS = 300000;
+
+/**
+ * @typedef {Object} Access
+ * @property {string}        userId
+ * @property {string}        role   - viewer | operator | admin
+ * @property {string[]|null} roots  - allowed directory roots (null = anywhere)
+ */
+
+const config = loadConfig();
+
+const groupCache = new Map(); // groupId → { members: Set, expiresAt }
+
+function loadConfig() {
+  const file = process.env.OPENCODE_ACCESS_FILE;
+  const cfg = { dirs: null, users: {}, groups: {} };
+
+  if (file) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.error(`Could not read access file ${file}: ${err.message}`);
+      process.exit(1);
+    }
+    cfg.dirs = raw.dirs?.length ? raw.dirs.map(normalizeDir) : null;
+    for (const [id, entry] of Object.entries(raw.users ?? {})) {
+      cfg.users[id] = parseEntry(`users.${id}`, entry);
+    }
+    for (const [id, entry] of Object.entries(raw.groups ?? {})) {
+      cfg.groups[id] = parseEntry(`groups.${id}`, entry);
+    }
+  }
+
+  const owner = process.env.ALLOWED_USER_ID;
+  if (owner) {
+    cfg.users[owner] = { role: "admin", dirs: [] };
+  }
+
+  if (Object.keys(cfg.users).length === 0 && Object.keys(cfg.groups).length === 0) {
+    console.error("No users configured: set ALLOWED_USER_ID and/or OPENCODE_ACCESS_FILE");
+    process.exit(1);
+  }
+
+  return cfg;
+}
+
+function parseEntry(where, entry) {
+  if (!ROLES.includes(entry?.role)) {
+    console.error(`Access file: ${where} has invalid role "${entry?.role}" (expected ${ROLES.join(", ")})`);
+    process.exit(1);
+  }
+  // dirs: undefined → inherit top-level default, [] → unrestricted
+  return {
+    role: entry.role,
+    dirs: Array.isArray(entry.dirs) ? entry.dirs.map(normalizeDir) : undefined,
+  };
+}
+
+/**
+ * Resolves a Slack user to their access, or null if they have none.
+ * Group membership is looked up through the Slack API (cached).
+ *
+ * @param {object} client - Slack WebClient
+ * @param {string} userId
+ * @returns {Promise<Access|null>}
+ */
+export async function getAccess(client, userId) {
+  if (!userId) return null;
+
+  const direct = config.users[userId];
+  if (direct) return toAccess(userId, direct.role, direct.dirs);
+
+  let best = null;
+  for (const [groupId, entry] of Object.entries(config.groups)) {
+    const members = await groupMembers(client, groupId);
+    if (!members.has(userId)) continue;
+
+    const dirs = entry.dirs ?? config.dirs ?? [];
+    if (!best) {
+      best = { role: entry.role, dirs: [...dirs] };
+      continue;
+    }
+    if (ROLES.indexOf(entry.role) > ROLES.indexOf(best.role)) best.role = entry.role;
+    // Any unrestricted group makes the user unrestricted
+    best.dirs = best.dirs.length && dirs.length ? [...best.dirs, ...dirs] : [];
+  }
+
+  return best ? toAccess(userId, best.role, best.dirs) : null;
+}
+
+function toAccess(userId, role, dirs) {
+  const roots = dirs ?? config.dirs ?? [];
+  return { userId, role, roots: roots.length ? roots : null };
+}
+
+async function groupMembers(client, groupId) {
+  const cached = groupCache.get(groupId);
+  if (cached && Date.now() < cached.expiresAt) return cached.members;
+
+  let members = cached?.members ?? new Set();
+  try {
+    const res = await client.usergroups.users.list({ usergroup: groupId });
+    members = new Set(res.users ?? []);
+  } catch (err) {
+    console.error("[access] usergroup lookup failed", groupId, err?.data?.error ?? err.message);
+  }
+  groupCache.set(groupId, { members, expiresAt: Date.now() + GROUP_CACHE_TTL_MS });
+  return members;
+}
+
+/**
+ * @param {Access|null} access
+ * @param {"view"|"run"|"admin"} permission
+ * @returns {boolean}
+ */
+export function can(access, permission) {
+  if (!access) return false;
+  return ROLES.indexOf(access.role) >= ROLES.indexOf(PERMISSIONS[permission]);
+}
+
+/**
+ * Whether `dir` lies inside one of the user's allowed roots.
+ * Symlinks are resolved so they can't be used to escape a root.
+ *
+ * @param {Access|null} access
+ * @param {string} dir
+ * @returns {boolean}
+ */
+export function isDirAllowed(access, dir) {
+  if (!access || !dir) return false;
+  if (!access.roots) return true;
+  const target = normalizeDir(dir);
+  return access.roots.some(
+    (root) => target === root || target.startsWith(root.endsWith(path.sep) ? root : root + path.sep)
+  );
+}
+
+/**
+ * Picks where the folder browser should start for this user:
+ * the configured browse root if allowed, otherwise their first root.
+ *
+ * @param {Access} access
+ * @param {string} browseRoot
+ * @returns {string}
+ */
+export function browseStart(access, browseRoot) {
+  if (isDirAllowed(access, browseRoot)) return browseRoot;
+  return access.roots[0];
+}
+
+/**
+ * Summary of the access configuration for admins.
+ * @returns {string[]}
+ */
+export function describeConfig() {
+  const lines = [];
+  const fmtDirs = (dirs) => (dirs === undefined ? "" : dirs.length ? ` — ${dirs.join(", ")}` : " — anywhere");
+  for (const [id, entry] of Object.entries(config.users)) {
+    lines.push(`<@${id}>: ${entry.role}${fmtDirs(entry.dirs)}`);
+  }
+  for (const [id, entry] of Object.entries(config.groups)) {
+    lines.push(`<!subteam^${id}>: ${entry.role}${fmtDirs(entry.dirs)}`);
+  }
+  if (config.dirs) {
+    lines.push(`Default roots: ${config.dirs.join(", ")}`);
+  }
+  return lines;
+}
+
+function normalizeDir(dir) {
+  const resolved = path.resolve(dir);
+  try {
+    return fs.realpathSync(resolved);
+  } catch {
+    return resolved;
+  }
+}
@@ -6,25 +6,57 @@
  * - Reply in the thread to continue the same session
  * - Set working directory per-conversation with:  dir:/path/to/project
  * - Interactive folder picker for new conversations
- * - Commands: !init, !model, !agents
+ * - /opencode slash command: a modal that starts a task in one step
+ * - App Home dashboard of every thread, with Jump / Stop / Clear buttons
+ * - Commands: !init, !model, !agents, !stop, !queue, !diff, !commit, !undo,
+ *   !worktree, !close, !sessions, !session, !fork, !export, !verbosity,
+ *   !settings, !schedule, !access, !usage, !continue
+ * - A settings dialog to see and change everything about a thread at once
+ * - Per-thread verbosity: quiet, normal or verbose output
+ * - Full transcripts of every run, exported as Markdown or JSON
+ * - Attach a thread to a session started in the terminal, and back
+ * - Fork a thread's session into a new thread to try another approach
+ * - Scheduled / recurring prompts that each open a new thread
+ * - Optional local HTTP API for starting runs from scripts and CI
+ * - After each run, a summary of uncommitted git changes in the directory,
+ *   and an Undo button that rolls back exactly what the run changed
+ * - Optional per-thread git worktrees, so threads don't share a checkout
+ * - Spending budgets stop runs until someone explicitly continues
+ * - A global limit on concurrent runs, with threads taking turns
+ * - Role-based access with per-user directory scopes (see access.js)
+ * - Files and images attached to a message are passed to OpenCode
+ * - Risky tool calls can be held for Approve / Deny in the thread
  * - Every tool call, file change, and response streams in real-time
  */
 
 import "dotenv/config";
 import path from "node:path";
 import fs from "node:fs";
+import { randomUUID } from "node:crypto";
 import pkg from "@slack/bolt";
 const { App } = pkg;
-import { runOpencode, listModels, listAgents } from "./opencode.js";
-import { createAccumulator } from "./formatter.js";
-import { getThread, upsertThread } from "./store.js";
+import { runOpencode, listModels, listAgents, listSessions, envNumber, DEFAULT_MODEL } from "./opencode.js";
+import { createAccumulator, fmtNum, VERBOSITY_LEVELS } from "./formatter.js";
+import { getThread, upsertThread, deleteThread, allThreads } from "./store.js";
+import { getAccess, can, isDirAllowed, browseStart, describeConfig } from "./access.js";
+import { slimFile, downloadSlackFiles, cleanupFiles } from "./files.js";
+import { approvalPermissions, matchApproval, describeRequest, APPROVAL_TIMEOUT_MS } from "./approvals.js";
+import { createUpdateScheduler } from "./slack-updates.js";
+import { createRunSlots } from "./run-slots.js";
+import { recordUsage, readUsage, summarizeUsage, usageCsv, dayKey } from "./ledger.js";
+import { workingChanges, workingDiff, commitAll } from "./git.js";
+import { takeSnapshot, finishSnapshot, restoreSnapshot, dropSnapshot } from "./undo.js";
+import { listSchedules, addSchedule, deleteSchedule, startScheduler } from "./schedules.js";
+import { startHttpApi, HttpError } from "./http-api.js";
+import { WORKTREES_ENABLED, createWorktree, worktreeDir, worktreeStatus, mergeWorktree, removeWorktree } from "./worktree.js";
+import { startTranscript, readTranscript, deleteTranscript, transcriptMarkdown } from "./transcripts.js";
+import { budgetsEnabled, budgetBaseline, checkBudget, grantWaiver, describeExceeded } from "./budget.js";
 
 // ── Config ──────────────────────────────────────────────────────────────
 
 const SLACK_BOT_TOKEN = requiredEnv("SLACK_BOT_TOKEN");
 const SLACK_APP_TOKEN = requiredEnv("SLACK_APP_TOKEN");
 const SLACK_SIGNING_SECRET = requiredEnv("SLACK_SIGNING_SECRET");
-const ALLOWED_USER_ID = requiredEnv("ALLOWED_USER_ID");
 const DEFAULT_DIR = process.env.OPENCODE_DEFAULT_DIR || process.cwd();
 const BROWSE_ROOT = process.env.OPENCODE_BROWSE_ROOT || process.env.HOME || "/";
 
@@ -37,12 +69,77 @@ const PROJECTS = (process.env.OPENCODE_PROJECTS || "")
 // How often to update the Slack message while streaming (ms)
 const UPDATE_INTERVAL = 1500;
 
+// Minimum gap between streaming updates in one channel, across all runs (ms)
+const CHANNEL_UPDATE_INTERVAL = 1000;
+
+// Prompt used when a message carries attachments but no text
+const ATTACHMENTS_ONLY_PROMPT = "Take a look at the attached file(s).";
+
+// Concurrent runs across all threads, and per project directory (0 = no limit)
+const MAX_RUNS = envNumber("OPENCODE_MAX_RUNS", 4);
+const MAX_RUNS_PER_DIR = envNumber("OPENCODE_MAX_RUNS_PER_DIR", 0);
+
+// Sent to resume a session that a budget stop cut off
+const BUDGET_CONTINUE_PROMPT = "Continue where you left off.";
+
+// Default window of the !usage report (days)
+const USAGE_DEFAULT_DAYS = 7;
+
+// Max rows per section of the !usage report
+const USAGE_MAX_ROWS = 15;
+
+// Changed files listed by name in the post-run summary
+const CHANGES_MAX_LISTED = 10;
+
+// Sessions listed by !sessions (one block each)
+const SESSIONS_MAX_LISTED = 10;
+
+// Sessions searched when attaching one by ID
+const SESSIONS_LOOKUP_LIMIT = 200;
+
+// Schedules listed by !schedule (one block each)
+const SCHEDULES_MAX_LISTED = 40;
+
+// Reverted files listed by name after an undo
+const UNDO_MAX_LISTED = 20;
+
+// Queued messages listed individually by !queue (two blocks each)
+const QUEUE_MAX_LISTED = 20;
+
+// How long the /opencode modal waits for model / agent lists before
+// falling back (the trigger_id expires after 3 seconds)
+const NEW_TASK_LIST_WAIT_MS = 1500;
+
+// Threads listed on the App Home tab (three blocks each; a view holds 100)
+const HOME_MAX_THREADS = 30;
+
+// Coalesce App Home refreshes from runs starting and finishing (ms)
+const HOME_REFRESH_DELAY_MS = 2000;
+
+// Keep refreshing a user's App Home this long after they last opened it (ms)
+const HOME_VIEWER_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long the settings dialog waits for model / agent / session lists to
+// validate against (a submission has to be answered within 3 seconds)
+const SETTINGS_LIST_WAIT_MS = 1500;
+
 // Max folders to show in browser (Slack limits actions per block)
 const MAX_BROWSE_FOLDERS = 20;
 
 // Track active child processes for graceful shutdown
 const activeProcesses = new Set();
 
+// In-flight run per thread: threadTs → { emitter, ticket, pageTs, cancelled, budgetExceeded }
+// (emitter is null while the run waits for a slot)
+const activeRuns = new Map();
+
+// Permission requests waiting on a decision in Slack: requestID → approval
+const pendingApprovals = new Map();
+
+// The page carrying each thread's Fork button: threadTs → { channel, ts, text, blocks }
+// (final blocks, so the button can be dropped once the session moves on)
+const forkButtonPages = new Map();
+
 // Popular model shortlist for the picker (full list available via search)
 const MODEL_SHORTLIST = [
   "anthropic/claude-opus-4-6",
@@ -65,29 +162,85 @@ const bolt = new App({
   socketMode: true,
 });
 
+// Every run takes a slot before it starts; runs over the limit wait in line
+const runSlots = createRunSlots({ maxRuns: MAX_RUNS, maxPerDirectory: MAX_RUNS_PER_DIR });
+
+// Streaming message updates from every run go through one shared scheduler
+const slackUpdates = createUpdateScheduler({
+  token: SLACK_BOT_TOKEN,
+  channelIntervalMs: CHANNEL_UPDATE_INTERVAL,
+});
+
 // ── Auth guard ──────────────────────────────────────────────────────────
 
-function isAllowed(userId) {
-  return userId === ALLOWED_USER_ID;
+// Minimum permission per ! command (anything not listed requires "run")
+const COMMAND_PERMISSIONS = {
+  queue: "view",
+  diff: "view",
+  sessions: "view",
+  session: "view",
+  export: "view",
+  settings: "view",
+  access: "view",
+  usage: "view",
+};
+
+// ! commands that don't act on the thread they're typed in, so its folder
+// scope doesn't apply (each checks the folders it touches itself)
+const UNSCOPED_COMMANDS = new Set(["schedule", "access", "usage"]);
+
+/**
+ * Resolves the clicking user's access in an action handler and checks the
+ * required permission (and directory, if given). Returns null when denied.
+ */
+async function authorizeAction({ body, client, permission = "run", dir = null }) {
+  const access = await getAccess(client, body.user?.id);
+  if (!access) return null;
+
+  const channel = body.channel?.id;
+  const threadTs = body.message?.thread_ts || body.message?.ts;
+
+  if (!can(access, permission)) {
+    await replyEphemeral({ client, channel, threadTs, access, text: `:no_entry: Your role (${access.role}) can't do that.` });
+    return null;
+  }
+  if (dir && !isDirAllowed(access, dir)) {
+    await replyEphemeral({ client, channel, threadTs, access, text: `:no_entry: You don't have access to \`${dir}\`.` });
+    return null;
+  }
+  return access;
+}
+
+/**
+ * Posts a message only the given user can see (denials, private info).
+ */
+async function replyEphemeral({ client, channel, threadTs, access, text }) {
+  try {
+    await client.chat.postEphemeral({ channel, user: access.userId, thread_ts: threadTs, text });
+  } catch (err) {
+    console.error("[ephemeral error]", err?.data?.error ?? err.message);
+  }
 }
 
 // ── Handle app_mention events ───────────────────────────────────────────
 
 bolt.event("app_mention", async ({ event, client, say }) => {
   console.log("[app_mention]", JSON.stringify({ user: event.user, text: event.text?.slice(0, 80) }));
-  if (!isAllowed(event.user)) {
+  const access = await getAccess(client, event.user);
+  if (!access) {
     await say({ text: "Sorry, you're not authorized to use this bot.", thread_ts: event.ts });
     return;
   }
 
-  const text = event.text.replace(/<@[A-Z0-9]+>/g, "").trim();
-  if (!text) {
+  const text = (event.text ?? "").replace(/<@[A-Z0-9]+>/g, "").trim();
+  const files = (event.files ?? []).map(slimFile);
+  if (!text && files.length === 0) {
     await say({ text: "Send me a message and I'll pass it to OpenCode!", thread_ts: event.ts });
     return;
   }
 
   const threadTs = event.thread_ts || event.ts;
-  await handleMessage({ text, threadTs, channel: event.channel, client });
+  await handleMessage({ text, files, threadTs, channel: event.channel, client, access });
 });
 
 // ── Handle DMs and thread replies ────────────────────────────────────────
@@ -104,10 +257,10 @@ bolt.event("message", async ({ event, client }) => {
     ts: event.ts,
   }));
 
-  if (event.subtype) return;
+  // file_share is a normal message that carries attachments
+  if (event.subtype && event.subtype !== "file_share") return;
   if (event.bot_id) return;
-  if (!event.text) return;
-  if (!isAllowed(event.user)) return;
+  if (!event.text && !event.files?.length) return;
 
   const isDM = event.channel_type === "im";
   const isThreadReply = event.thread_ts && event.thread_ts !== event.ts;
@@ -121,36 +274,387 @@ bolt.event("message", async ({ event, client }) => {
   }
 
   const threadTs = event.thread_ts || event.ts;
-  const text = event.text.replace(/<@[A-Z0-9]+>/g, "").trim();
-  if (!text) return;
+  const text = (event.text ?? "").replace(/<@[A-Z0-9]+>/g, "").trim();
+  const files = (event.files ?? []).map(slimFile);
+  if (!text && files.length === 0) return;
+
+  const access = await getAccess(client, event.user);
+  if (!access) return;
+
+  console.log("[handling message]", text.slice(0, 80), "files:", files.length, "thread:", threadTs);
+  await handleMessage({ text, files, threadTs, channel: event.channel, client, access });
+});
+
+// ── /opencode slash command — new-task modal ────────────────────────────
+
+bolt.command("/opencode", async ({ command, ack, respond, client }) => {
+  await ack();
+  console.log("[/opencode]", JSON.stringify({ user: command.user_id, channel: command.channel_id }));
+
+  const access = await getAccess(client, command.user_id);
+  if (!access) {
+    await respond({ response_type: "ephemeral", text: "Sorry, you're not authorized to use this bot." });
+    return;
+  }
+  if (!can(access, "run")) {
+    await respond({ response_type: "ephemeral", text: ":eyes: You have read-only access — you can't start runs." });
+    return;
+  }
+
+  const [models, agents] = await Promise.all([
+    withTimeout(listModels(), NEW_TASK_LIST_WAIT_MS, []),
+    withTimeout(listAgents(), NEW_TASK_LIST_WAIT_MS, []),
+  ]);
+
+  try {
+    await client.views.open({
+      trigger_id: command.trigger_id,
+      view: newTaskView({ access, prompt: command.text, channel: command.channel_id, models, agents }),
+    });
+  } catch (err) {
+    console.error("[/opencode modal error]", err?.data?.error ?? err.message);
+    await respond({ response_type: "ephemeral", text: `:x: Couldn't open the task dialog (${err?.data?.error ?? err.message}).` });
+  }
+});
+
+function newTaskView({ access, prompt, channel, models, agents }) {
+  const option = (text, value = text) => ({ text: { type: "plain_text", text: truncLabel(text, 75) }, value });
+  const bookmarks = PROJECTS.filter((p) => isDirAllowed(access, p));
+  const modelChoices = (models.length ? models : MODEL_SHORTLIST).slice(0, 100);
+
+  const blocks = [
+    {
+      type: "input",
+      block_id: "prompt",
+      label: { type: "plain_text", text: "What should OpenCode do?" },
+      element: {
+        type: "plain_text_input",
+        action_id: "value",
+        multiline: true,
+        ...(prompt?.trim() && { initial_value: prompt.trim() }),
+      },
+    },
+  ];
+
+  if (bookmarks.length) {
+    blocks.push({
+      type: "input",
+      block_id: "bookmark",
+      optional: true,
+      label: { type: "plain_text", text: "Project" },
+      element: {
+        type: "static_select",
+        action_id: "value",
+        placeholder: { type: "plain_text", text: "Pick a bookmark" },
+        options: bookmarks.slice(0, 100).map((p) => option(path.basename(p) || p, p)),
+      },
+    });
+  }
+
+  blocks.push(
+    {
+      type: "input",
+      block_id: "folder",
+      optional: true,
+      label: { type: "plain_text", text: bookmarks.length ? "…or a folder path" : "Folder path" },
+      hint: {
+        type: "plain_text",
+        text: isDirAllowed(access, DEFAULT_DIR) ? `Leave empty for ${DEFAULT_DIR}` : "Absolute path of the project folder",
+      },
+      element: { type: "plain_text_input", action_id: "value", placeholder: { type: "plain_text", text: "/path/to/project" } },
+    },
+    {
+      type: "input",
+      block_id: "model",
+      optional: true,
+      label: { type: "plain_text", text: "Model" },
+      element: {
+        type: "static_select",
+        action_id: "value",
+        placeholder: { type: "plain_text", text: `Default (${DEFAULT_MODEL})` },
+        options: modelChoices.map((m) => option(m)),
+      },
+    }
+  );
+
+  if (agents.length) {
+    blocks.push({
+      type: "input",
+      block_id: "agent",
+      optional: true,
+      label: { type: "plain_text", text: "Agent" },
+      element: {
+        type: "static_select",
+        action_id: "value",
+        placeholder: { type: "plain_text", text: "Default" },
+        options: agents.slice(0, 100).map((a) => option(`${a.name} (${a.type})`, a.name)),
+      },
+    });
+  }
+
+  return {
+    type: "modal",
+    callback_id: "new_task",
+    private_metadata: JSON.stringify({ channel }),
+    title: { type: "plain_text", text: "New OpenCode task" },
+    submit: { type: "plain_text", text: "Start" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks,
+  };
+}
+
+// Submitting the modal: validate, then open the thread and start the run
+bolt.view("new_task", async ({ ack, view, body, client }) => {
+  const values = view.state.values;
+  const { channel } = JSON.parse(view.private_metadata);
+  const prompt = values.prompt.value.value?.trim();
+  const typed = values.folder.value.value?.trim();
+  const bookmark = values.bookmark?.value.selected_option?.value;
+  const model = values.model.value.selected_option?.value ?? null;
+  const agent = values.agent?.value.selected_option?.value ?? null;
+
+  const access = await getAccess(client, body.user.id);
+  if (!access || !can(access, "run")) {
+    await ack({ response_action: "errors", errors: { prompt: "You can't start runs." } });
+    return;
+  }
+
+  const directory = typed ? path.resolve(typed) : bookmark ?? DEFAULT_DIR;
+  const folderBlock = typed || !bookmark ? "folder" : "bookmark";
+  const errors = {};
+  if (!prompt) {
+    errors.prompt = "Tell OpenCode what to do.";
+  }
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    errors[folderBlock] = `${directory} is not a folder.`;
+  } else if (!isDirAllowed(access, directory)) {
+    errors[folderBlock] = `You don't have access to ${directory}.`;
+  }
+  if (Object.keys(errors).length) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
+  await ack();
+
+  console.log("[new task]", "by:", access.userId, "dir:", directory, "model:", model, "agent:", agent);
+  try {
+    await startThread({
+      client,
+      channel,
+      title: `:rocket: *New task* from <@${access.userId}> in \`${directory}\`\n>${truncLabel(prompt.replace(/\s+/g, " "), 500)}`,
+      directory,
+      model,
+      agent,
+      message: prompt,
+      user: access.userId,
+    });
+  } catch (err) {
+    // Usually the bot isn't in that channel — tell the user privately
+    console.error("[new task error]", err?.data?.error ?? err.message);
+    await client.chat.postMessage({
+      channel: access.userId,
+      text: `:x: Couldn't start your task in <#${channel}> (${err?.data?.error ?? err.message}). Invite me to the channel, or run \`/opencode\` in a DM with me.`,
+    });
+  }
+});
+
+// ── App Home — dashboard of every thread ────────────────────────────────
 
-  console.log("[handling message]", text.slice(0, 80), "thread:", threadTs);
-  await handleMessage({ text, threadTs, channel: event.channel, client });
+// Users who opened the App Home recently: userId → when (ms)
+const homeViewers = new Map();
+let homeRefreshTimer = null;
+let workspaceUrl = null;
+
+bolt.event("app_home_opened", async ({ event, client }) => {
+  if (event.tab !== "home") return;
+  homeViewers.set(event.user, Date.now());
+  await publishHome(client, event.user);
 });
 
+/**
+ * Republishes the App Home of everyone who opened it recently. Calls within
+ * HOME_REFRESH_DELAY_MS of each other share one refresh.
+ */
+function scheduleHomeRefresh() {
+  if (homeRefreshTimer) return;
+  homeRefreshTimer = setTimeout(async () => {
+    homeRefreshTimer = null;
+    const cutoff = Date.now() - HOME_VIEWER_TTL_MS;
+    const costs = threadCosts();
+    for (const [userId, openedAt] of homeViewers) {
+      if (openedAt < cutoff) {
+        homeViewers.delete(userId);
+        continue;
+      }
+      await publishHome(bolt.client, userId, costs);
+    }
+  }, HOME_REFRESH_DELAY_MS);
+}
+
+async function publishHome(client, userId, costs = threadCosts()) {
+  try {
+    const access = await getAccess(client, userId);
+    await client.views.publish({
+      user_id: userId,
+      view: { type: "home", blocks: await homeBlocks({ client, access, costs }) },
+    });
+  } catch (err) {
+    console.error("[home publish error]", err?.data?.error ?? err.message);
+  }
+}
+
+// Total ledger cost per thread: threadTs → USD. Reading the ledger means
+// parsing the whole file, so the totals are kept until a run records usage.
+let cachedThreadCosts = null;
+
+function threadCosts() {
+  cachedThreadCosts ??= new Map(summarizeUsage(readUsage(), (e) => e.threadTs ?? "").map((g) => [g.key, g.cost]));
+  return cachedThreadCosts;
+}
+
+/**
+ * The threads the user can see (those in directories they have access to),
+ * most recently active first.
+ */
+async function homeBlocks({ client, access, costs }) {
+  if (!can(access, "view")) {
+    return [markdownSection("Sorry, you're not authorized to use this bot.")];
+  }
+
+  const threads = allThreads()
+    .filter(([, t]) => t.directory && isDirAllowed(access, t.directory))
+    .sort(([, a], [, b]) => (b.lastActivityAt ?? "").localeCompare(a.lastActivityAt ?? ""));
+  const running = threads.filter(([, t]) => t.busy).length;
+  const queued = threads.reduce((n, [, t]) => n + (t.queue?.length ?? 0), 0);
+
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: "OpenCode threads" } },
+    contextBlock(`${threads.length} thread(s) · ${running} running · ${queued} queued · updated ${slackDate(new Date().toISOString())}`),
+  ];
+  if (threads.length === 0) {
+    blocks.push(markdownSection("_No threads yet — mention me in a channel, DM me, or use `/opencode` to start one._"));
+    return blocks;
+  }
+
+  const base = await workspaceBase(client);
+  for (const [threadTs, thread] of threads.slice(0, HOME_MAX_THREADS)) {
+    blocks.push({ type: "divider" }, ...homeThreadBlocks({ threadTs, thread, access, base, cost: costs.get(threadTs) ?? 0 }));
+  }
+  if (threads.length > HOME_MAX_THREADS) {
+    blocks.push(contextBlock(`_…and ${threads.length - HOME_MAX_THREADS} less recent thread(s)_`));
+  }
+  return blocks;
+}
+
+function homeThreadBlocks({ threadTs, thread, access, base, cost }) {
+  const run = activeRuns.get(threadTs);
+  let state = ":white_circle: idle";
+  if (thread.busy) state = run && !run.emitter ? ":hourglass_flowing_sand: waiting for a run slot" : ":large_green_circle: running";
+  else if (thread.budgetHold) state = ":money_with_wings: stopped by a budget";
+
+  const name = path.basename(thread.worktree?.repo ?? thread.directory) || thread.directory;
+  const lastActivity = thread.lastActivityAt ? slackDate(thread.lastActivityAt) : "never run";
+  const text =
+    `*${name}*  ${state}\n` +
+    `\`${thread.directory}\` · ${thread.model || `${DEFAULT_MODEL} (default)`} · ${thread.agent || "default agent"}\n` +
+    `Queue: ${thread.queue?.length ?? 0} · Last activity: ${lastActivity} · Cost: $${cost.toFixed(2)}`;
+
+  const buttons = [];
+  if (base && thread.channel) {
+    buttons.push({
+      type: "button",
+      action_id: "home_jump",
+      text: { type: "plain_text", text: "Jump to thread" },
+      url: `${base}archives/${thread.channel}/p${threadTs.replace(".", "")}`,
+    });
+  }
+  if (can(access, "run")) {
+    const value = JSON.stringify({ threadTs });
+    if (thread.busy) {
+      buttons.push({ type: "button", action_id: "home_stop", style: "danger", text: { type: "plain_text", text: "Stop" }, value });
+    } else {
+      const worktreeNote = thread.worktree ? ` and deletes its worktree branch \`${thread.worktree.branch}\`, unmerged work included` : "";
+      buttons.push({
+        type: "button",
+        action_id: "home_clear",
+        text: { type: "plain_text", text: "Clear" },
+        value,
+        confirm: {
+          title: { type: "plain_text", text: "Clear this thread?" },
+          text: { type: "mrkdwn", text: `This forgets the thread's session, queue and undo snapshot${worktreeNote}. Replies in the thread will no longer reach OpenCode.` },
+          confirm: { type: "plain_text", text: "Clear" },
+          deny: { type: "plain_text", text: "Cancel" },
+          style: "danger",
+        },
+      });
+    }
+  }
+
+  const blocks = [markdownSection(text)];
+  if (buttons.length) blocks.push({ type: "actions", elements: buttons });
+  return blocks;
+}
+
+// Workspace URL (https://<team>.slack.com/) for building thread links
+async function workspaceBase(client) {
+  if (!workspaceUrl) {
+    try {
+      workspaceUrl = (await client.auth.test()).url ?? null;
+    } catch (err) {
+      console.error("[auth.test error]", err?.data?.error ?? err.message);
+    }
+  }
+  return workspaceUrl;
+}
+
 // ── Core: send message to OpenCode, stream response back ────────────────
 
-async function handleMessage({ text, threadTs, channel, client }) {
-  const { message, directory, slashCommand } = parseDirectives(text);
+async function handleMessage({ text, files = [], threadTs, channel, client, access }) {
+  const parsed = parseDirectives(text);
+  const { directory, slashCommand } = parsed;
+  const message = parsed.message || (files.length ? ATTACHMENTS_ONLY_PROMPT : null);
 
   // Handle slash commands
   if (slashCommand) {
-    await handleSlashCommand({ command: slashCommand.command, args: slashCommand.args, threadTs, channel, client });
+    const permission = COMMAND_PERMISSIONS[slashCommand.command] ?? "run";
+    if (!can(access, permission)) {
+      await replyEphemeral({ client, channel, threadTs, access, text: `:no_entry: Your role (${access.role}) can't use \`!${slashCommand.command}\`.` });
+      return;
+    }
+    const threadDir = getThread(threadTs)?.directory;
+    if (threadDir && !UNSCOPED_COMMANDS.has(slashCommand.command) && !isDirAllowed(access, threadDir)) {
+      await replyEphemeral({ client, channel, threadTs, access, text: `:no_entry: You don't have access to \`${threadDir}\`.` });
+      return;
+    }
+    await handleSlashCommand({ command: slashCommand.command, args: slashCommand.args, threadTs, channel, client, access });
     return;
   }
 
   if (!message) return;
 
+  if (!can(access, "run")) {
+    await replyEphemeral({ client, channel, threadTs, access, text: `:eyes: You have read-only access — you can't start runs.` });
+    return;
+  }
+
   let thread = getThread(threadTs);
 
+  // Whoever continues a thread must have access to its directory too
+  const targetDir = directory || thread?.directory;
+  if (targetDir && !isDirAllowed(access, targetDir)) {
+    await replyEphemeral({ client, channel, threadTs, access, text: `:no_entry: You don't have access to \`${targetDir}\`.` });
+    return;
+  }
+
   if (directory) {
     thread = upsertThread(threadTs, { directory });
   }
 
-  // If this is a brand new thread with no directory set, show the folder picker
+  // If this is a brand new thread with no directory set, show the folder picker.
+  // Attachments stay on Slack until we know the run will happen.
   if (!thread && !directory) {
-    upsertThread(threadTs, { pendingMessage: message });
-    await showFolderPicker({ threadTs, channel, client, browsePath: null });
+    upsertThread(threadTs, { pendingMessage: message, pendingFiles: files });
+    await showFolderPicker({ threadTs, channel, client, browsePath: null, access });
     return;
   }
 
@@ -158,76 +662,187 @@ async function handleMessage({ text, threadTs, channel, client }) {
     thread = upsertThread(threadTs, { directory: directory || DEFAULT_DIR });
   }
 
+  const attachments = await fetchAttachments({ files, threadTs, channel, client });
+
   // If thread exists but still waiting for folder pick
   if ((thread.pendingMessage || thread.pendingCommand) && !thread.directory) {
     const queue = thread.queue || [];
-    upsertThread(threadTs, { queue: [...queue, message] });
+    const item = { id: randomUUID().slice(0, 8), message, files: attachments, user: access.userId, notice: null };
+    upsertThread(threadTs, { queue: [...queue, item] });
     return;
   }
 
-  await runWithQueue({ threadTs, channel, client, message });
+  await runWithQueue({ threadTs, channel, client, message, files: attachments, user: access.userId });
 }
 
-// ── Run with busy guard and queue drain ─────────────────────────────────
+/**
+ * Downloads a message's Slack attachments for the run, telling the thread
+ * about any that couldn't be fetched. Returns local paths.
+ */
+async function fetchAttachments({ files, threadTs, channel, client }) {
+  if (!files.length) return [];
 
-async function runWithQueue({ threadTs, channel, client, message, command }) {
-  const thread = getThread(threadTs);
+  const { paths, skipped } = await downloadSlackFiles({ files, threadTs, client, token: SLACK_BOT_TOKEN });
 
-  // Queue if busy
-  if (thread?.busy) {
-    const queue = thread.queue || [];
-    upsertThread(threadTs, { queue: [...queue, message] });
+  if (skipped.length) {
+    const lines = skipped.map((f) => `• \`${f.name}\` — ${f.reason}`).join("\n");
     await client.chat.postMessage({
       channel,
       thread_ts: threadTs,
-      text: `_Queued — waiting for current request to finish..._`,
+      text: `:paperclip: Couldn't attach ${skipped.length} file(s):\n${lines}`,
     });
-    return;
   }
 
-  upsertThread(threadTs, { busy: true });
+  return paths;
+}
+
+// ── Run with busy guard and queue drain ─────────────────────────────────
+
+/**
+ * Runs a message now, or queues it if the thread is busy. `onResult` (if
+ * given) receives the processMessage result of this message's run when it
+ * runs right away.
+ */
+async function runWithQueue({ threadTs, channel, client, message, files = [], command, user, onResult }) {
+  const thread = getThread(threadTs);
 
-  await processMessage({ message, threadTs, channel, client, command });
+  // Queue if busy, or if a budget stop is waiting for a go-ahead
+  if (thread?.busy || thread?.budgetHold) {
+    const item = { id: randomUUID().slice(0, 8), message, files, command, user, notice: null };
+    upsertThread(threadTs, { queue: [...(thread.queue || []), item] });
 
-  // Drain queue
-  let queued = getThread(threadTs)?.queue ?? [];
-  while (queued.length > 0) {
-    const next = queued.shift();
-    upsertThread(threadTs, { queue: queued });
-    await processMessage({ message: next, threadTs, channel, client });
-    queued = getThread(threadTs)?.queue ?? [];
+    const headline = thread.busy
+      ? `_Queued — waiting for current request to finish..._`
+      : `_Queued — waiting for someone to \`!continue\` past the budget..._`;
+    const res = await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: headline,
+      blocks: queuedNoticeBlocks(threadTs, item, headline),
+    });
+    const notice = { channel, ts: res.ts };
+    if (getThread(threadTs)?.queue?.some((q) => q.id === item.id)) {
+      updateQueueItem(threadTs, item.id, { notice });
+    } else {
+      // It ran, or was removed, while the notice was being posted
+      retireQueueNotice({ ...item, notice }, "_No longer in the queue_");
+    }
+    scheduleHomeRefresh();
+    return;
   }
 
-  upsertThread(threadTs, { busy: false });
+  upsertThread(threadTs, { busy: true, channel, lastActivityAt: new Date().toISOString() });
+  scheduleHomeRefresh();
+
+  // Whatever goes wrong, the thread must not stay busy and onResult must hear back
+  let report = onResult;
+  try {
+    let result = await processMessage({ message, files, threadTs, channel, client, command, user }).finally(() =>
+      cleanupFiles(files)
+    );
+    report?.(result);
+    report = null;
+
+    // Drain queue (a budget stop holds the rest until someone continues)
+    let queued = getThread(threadTs)?.queue ?? [];
+    while (queued.length > 0 && result.status !== "budget") {
+      const next = queued.shift();
+      upsertThread(threadTs, { queue: queued });
+      retireQueueNotice(next, "_Queued message — now running_ :arrow_down:");
+      upsertThread(threadTs, { lastActivityAt: new Date().toISOString() });
+      scheduleHomeRefresh();
+      result = await processMessage({ ...next, threadTs, channel, client }).finally(() => cleanupFiles(next.files));
+      queued = getThread(threadTs)?.queue ?? [];
+    }
+  } catch (err) {
+    console.error("[run error]", "thread:", threadTs, err?.data?.error ?? err.message);
+    report?.({ status: "error", error: err?.data?.error ?? err.message });
+  } finally {
+    if (getThread(threadTs)) {
+      upsertThread(threadTs, { busy: false, lastActivityAt: new Date().toISOString() });
+    }
+    scheduleHomeRefresh();
+  }
 }
 
 // ── Slash commands ──────────────────────────────────────────────────────
 
-async function handleSlashCommand({ command, args, threadTs, channel, client }) {
+async function handleSlashCommand({ command, args, threadTs, channel, client, access }) {
   console.log("[slash command]", command, args, "thread:", threadTs);
 
   switch (command) {
     case "init":
-      await handleInit({ threadTs, channel, client });
+      await handleInit({ threadTs, channel, client, access });
       break;
     case "models":
-      await handleModelCommand({ args, threadTs, channel, client });
+      await handleModelCommand({ args, threadTs, channel, client, access });
       break;
     case "agents":
-      await handleAgentsCommand({ args, threadTs, channel, client });
+      await handleAgentsCommand({ args, threadTs, channel, client, access });
+      break;
+    case "stop":
+      await handleStopCommand({ args, threadTs, channel, client });
+      break;
+    case "queue":
+      await handleQueueCommand({ threadTs, channel, client });
+      break;
+    case "diff":
+      await handleDiffCommand({ threadTs, channel, client, access });
+      break;
+    case "commit":
+      await handleCommitCommand({ args, threadTs, channel, client, access });
+      break;
+    case "undo":
+      await undoLastRun({ threadTs, channel, client, access });
+      break;
+    case "worktree":
+      await handleWorktreeCommand({ args, threadTs, channel, client, access });
+      break;
+    case "close":
+      await handleCloseCommand({ args, threadTs, channel, client, access });
+      break;
+    case "sessions":
+      await handleSessionsCommand({ args, threadTs, channel, client, access });
+      break;
+    case "session":
+      await handleSessionCommand({ threadTs, channel, client, access });
+      break;
+    case "fork":
+      await handleForkCommand({ args, threadTs, channel, client, access });
+      break;
+    case "export":
+      await handleExportCommand({ args, threadTs, channel, client, access });
+      break;
+    case "verbosity":
+      await handleVerbosityCommand({ args, threadTs, channel, client, access });
+      break;
+    case "settings":
+      await handleSettingsCommand({ threadTs, channel, client, access });
+      break;
+    case "schedule":
+      await handleScheduleCommand({ args, threadTs, channel, client, access });
+      break;
+    case "access":
+      await handleAccessCommand({ threadTs, channel, client, access });
+      break;
+    case "usage":
+      await handleUsageCommand({ args, threadTs, channel, client, access });
+      break;
+    case "continue":
+      await continuePastBudget({ threadTs, channel, client, access });
       break;
     default:
       await client.chat.postMessage({
         channel,
         thread_ts: threadTs,
-        text: `Unknown command: \`!${command}\`\nAvailable: \`!init\`, \`!models\`, \`!agents\``,
+        text: `Unknown command: \`!${command}\`\nAvailable: \`!init\`, \`!models\`, \`!agents\`, \`!stop\`, \`!queue\`, \`!diff\`, \`!commit\`, \`!undo\`, \`!worktree\`, \`!close\`, \`!sessions\`, \`!session\`, \`!fork\`, \`!export\`, \`!verbosity\`, \`!settings\`, \`!schedule\`, \`!access\`, \`!usage\`, \`!continue\``,
       });
   }
 }
 
 // ── /init — generate AGENTS.md ──────────────────────────────────────────
 
-async function handleInit({ threadTs, channel, client }) {
+async function handleInit({ threadTs, channel, client, access }) {
   let thread = getThread(threadTs);
 
   // Need a directory first
@@ -236,7 +851,7 @@ async function handleInit({ threadTs, channel, client }) {
       // Store a structured pending command instead of raw text
       // so folderSelected can dispatch it directly
       upsertThread(threadTs, { pendingMessage: null, pendingCommand: "init" });
-      await showFolderPicker({ threadTs, channel, client, browsePath: null });
+      await showFolderPicker({ threadTs, channel, client, browsePath: null, access });
       return;
     }
     await client.chat.postMessage({
@@ -254,68 +869,1252 @@ async function handleInit({ threadTs, channel, client }) {
     client,
     message: "initialize this project",
     command: "init",
+    user: access.userId,
   });
 }
 
-// ── /model — show model picker or set model directly ────────────────────
+// ── /stop — abort the in-flight run ─────────────────────────────────────
 
-async function handleModelCommand({ args, threadTs, channel, client }) {
-  const thread = getThread(threadTs);
-  const currentModel = thread?.model || "anthropic/claude-opus-4-6 (default)";
+async function handleStopCommand({ args, threadTs, channel, client }) {
+  const clearQueue = args === "all";
+  const { stopped, cleared } = stopRun(threadTs, { clearQueue });
 
-  // If args provided, set model directly
-  if (args) {
-    const models = await listModels();
-    if (models.length === 0) {
-      await client.chat.postMessage({
-        channel,
-        thread_ts: threadTs,
-        text: `:x: Could not load models list. Make sure opencode is configured and accessible.`,
-      });
-      return;
-    }
-    // Exact match or partial match
-    const exact = models.find((m) => m === args);
-    const partial = !exact ? models.filter((m) => m.includes(args)) : [];
+  if (!stopped) {
+    const text = cleared
+      ? `_Nothing was running — removed ${cleared} queued message${cleared === 1 ? "" : "s"}._`
+      : `_Nothing is running in this thread._`;
+    await client.chat.postMessage({ channel, thread_ts: threadTs, text });
+    return;
+  }
 
-    if (exact) {
-      upsertThread(threadTs, { model: exact });
-      await client.chat.postMessage({
-        channel,
-        thread_ts: threadTs,
-        text: `:white_check_mark: Model set to \`${exact}\``,
-      });
-      if (!getThread(threadTs)?.directory) {
-        await showFolderPicker({ threadTs, channel, client, browsePath: null });
-      }
-      return;
-    }
+  if (!clearQueue && getThread(threadTs)?.queue?.length) {
+    await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `_Stopped. Queued messages will continue — use \`!stop all\` to also clear the queue._`,
+    });
+  }
+}
 
-    if (partial.length === 1) {
-      upsertThread(threadTs, { model: partial[0] });
-      await client.chat.postMessage({
-        channel,
-        thread_ts: threadTs,
-        text: `:white_check_mark: Model set to \`${partial[0]}\``,
-      });
-      if (!getThread(threadTs)?.directory) {
-        await showFolderPicker({ threadTs, channel, client, browsePath: null });
-      }
-      return;
-    }
+/**
+ * Aborts the in-flight run for a thread, optionally dropping its queue.
+ * Returns whether a run was stopped and how many queued messages were dropped.
+ *
+ * @returns {{stopped: boolean, cleared: number}}
+ */
+function stopRun(threadTs, { clearQueue = false } = {}) {
+  const cleared = clearQueue ? dropQueue(threadTs, "_Removed from the queue_") : 0;
 
-    if (partial.length > 1 && partial.length <= 20) {
-      // Show matches as buttons
-      const chunks = chunkArray(partial, 5);
-      const blocks = [
-        markdownSection(`:mag: Multiple matches for \`${args}\`:`),
-      ];
-      for (const [chunkIndex, chunk] of chunks.entries()) {
-        blocks.push({
-          type: "actions",
-          elements: chunk.map((m, modelIndex) => ({
-            type: "button",
-            text: { type: "plain_text", text: truncLabel(m, 60), emoji: true },
+  const run = activeRuns.get(threadTs);
+  if (!run || run.cancelled) return { stopped: false, cleared };
+
+  console.log("[stop]", "thread:", threadTs, "clearQueue:", clearQueue);
+  run.cancelled = true;
+  if (run.emitter) run.emitter.abort();
+  else run.ticket.cancel();
+  return { stopped: true, cleared };
+}
+
+// ── /queue — inspect and reorder queued messages ────────────────────────
+
+async function handleQueueCommand({ threadTs, channel, client }) {
+  const queue = getThread(threadTs)?.queue ?? [];
+  if (queue.length === 0) {
+    await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `_Nothing is queued in this thread._`,
+    });
+    return;
+  }
+
+  await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: `${queue.length} queued message(s)`,
+    blocks: queueListBlocks(threadTs),
+  });
+}
+
+/**
+ * The !queue listing: every item with Run next / Edit / Remove, plus Clear.
+ */
+function queueListBlocks(threadTs) {
+  const thread = getThread(threadTs);
+  const queue = thread?.queue ?? [];
+  if (queue.length === 0) {
+    return [contextBlock("_The queue is empty._")];
+  }
+
+  const blocks = [
+    markdownSection(`:inbox_tray: *Queue* — ${queue.length} message(s) waiting${thread.busy ? " behind the current run" : ""}`),
+  ];
+
+  for (const [i, item] of queue.slice(0, QUEUE_MAX_LISTED).entries()) {
+    blocks.push(markdownSection(`*${i + 1}.* ${describeQueueItem(item)}`));
+
+    const elements = [];
+    if (i > 0) {
+      elements.push(queueButton("Run next", "queue_next", threadTs, item, "list"));
+    }
+    if (!item.command) {
+      elements.push(queueButton("Edit", "queue_edit", threadTs, item, "list"));
+    }
+    elements.push({ ...queueButton("Remove", "queue_remove", threadTs, item, "list"), style: "danger" });
+    blocks.push({ type: "actions", elements });
+  }
+
+  if (queue.length > QUEUE_MAX_LISTED) {
+    blocks.push(contextBlock(`_…and ${queue.length - QUEUE_MAX_LISTED} more_`));
+  }
+
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: { type: "plain_text", text: "Clear queue", emoji: true },
+        style: "danger",
+        value: JSON.stringify({ action: "clear", threadTs, from: "list" }),
+        action_id: "queue_clear",
+        confirm: {
+          title: { type: "plain_text", text: "Clear the queue?" },
+          text: { type: "plain_text", text: `Drop all ${queue.length} queued message(s) in this thread.` },
+          confirm: { type: "plain_text", text: "Clear" },
+          deny: { type: "plain_text", text: "Keep" },
+        },
+      },
+    ],
+  });
+  return blocks;
+}
+
+/**
+ * The "Queued — …" notice posted for an item, with Edit / Cancel.
+ */
+function queuedNoticeBlocks(threadTs, item, headline) {
+  const elements = [];
+  if (!item.command) {
+    elements.push(queueButton("Edit", "queue_edit", threadTs, item, "notice"));
+  }
+  elements.push(queueButton("Cancel", "queue_remove", threadTs, item, "notice"));
+  return [contextBlock(headline), { type: "actions", elements }];
+}
+
+function queueButton(label, actionId, threadTs, item, from) {
+  return {
+    type: "button",
+    text: { type: "plain_text", text: label, emoji: true },
+    value: JSON.stringify({ action: actionId, threadTs, id: item.id, from }),
+    action_id: actionId,
+  };
+}
+
+function describeQueueItem(item) {
+  const text = item.command ? `\`!${item.command}\`` : truncLabel(item.message.replace(/\s+/g, " "), 120);
+  const files = item.files?.length ? ` :paperclip: ${item.files.length}` : "";
+  return `${item.user ? `<@${item.user}> ` : ""}${text}${files}`;
+}
+
+function updateQueueItem(threadTs, id, patch) {
+  const queue = getThread(threadTs)?.queue ?? [];
+  const i = queue.findIndex((item) => item.id === id);
+  if (i === -1) return null;
+  const updated = { ...queue[i], ...patch };
+  upsertThread(threadTs, { queue: queue.with(i, updated) });
+  return updated;
+}
+
+function removeQueueItem(threadTs, id) {
+  const queue = getThread(threadTs)?.queue ?? [];
+  const item = queue.find((q) => q.id === id);
+  if (!item) return null;
+  upsertThread(threadTs, { queue: queue.filter((q) => q.id !== id) });
+  cleanupFiles(item.files);
+  return item;
+}
+
+/**
+ * Drops every queued message in a thread, closing their notices. Returns
+ * how many were dropped.
+ */
+function dropQueue(threadTs, notice) {
+  const queue = getThread(threadTs)?.queue ?? [];
+  upsertThread(threadTs, { queue: [] });
+  for (const item of queue) {
+    cleanupFiles(item.files);
+    retireQueueNotice(item, notice);
+  }
+  return queue.length;
+}
+
+/**
+ * Replaces a queued item's notice (and its buttons) with a plain line.
+ */
+function retireQueueNotice(item, text) {
+  if (!item.notice) return;
+  slackUpdates
+    .update({ ...item.notice, text, blocks: [contextBlock(text)] }, { final: true })
+    .catch((err) => console.error("[queue notice update error]", err?.data?.error ?? err.message));
+}
+
+// ── /diff, /commit — the directory's uncommitted changes ────────────────
+
+/**
+ * The thread's directory, if the caller may see it; otherwise tells them why not.
+ */
+async function threadDirFor({ threadTs, channel, client, access }) {
+  const dir = getThread(threadTs)?.directory;
+  if (!dir) {
+    await client.chat.postMessage({ channel, thread_ts: threadTs, text: `_No folder picked in this thread yet._` });
+    return null;
+  }
+  if (!isDirAllowed(access, dir)) {
+    await replyEphemeral({ client, channel, threadTs, access, text: `:no_entry: You don't have access to \`${dir}\`.` });
+    return null;
+  }
+  return dir;
+}
+
+async function handleDiffCommand({ threadTs, channel, client, access }) {
+  const dir = await threadDirFor({ threadTs, channel, client, access });
+  if (!dir) return;
+
+  let diff;
+  try {
+    diff = await workingDiff(dir);
+  } catch (err) {
+    console.error("[diff error]", err.message);
+    await client.chat.postMessage({ channel, thread_ts: threadTs, text: `:x: \`git diff\` failed: ${err.message}` });
+    return;
+  }
+  if (diff === null || !diff) {
+    await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: diff === null ? `_\`${dir}\` isn't in a git repository._` : `_No uncommitted changes._`,
+    });
+    return;
+  }
+
+  try {
+    await client.files.uploadV2({
+      channel_id: channel,
+      thread_ts: threadTs,
+      filename: `opencode-changes-${threadTs}.diff`,
+      title: `Uncommitted changes in ${dir}`,
+      snippet_type: "diff",
+      content: diff,
+    });
+  } catch (err) {
+    console.error("[diff upload error]", err?.data?.error ?? err.message);
+    await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `:x: Could not upload the diff (${err?.data?.error ?? err.message}). Is the \`files:write\` scope granted?`,
+    });
+  }
+}
+
+async function handleCommitCommand({ args, threadTs, channel, client, access }) {
+  const post = (text) => client.chat.postMessage({ channel, thread_ts: threadTs, text });
+  const message = args?.trim();
+  if (!message) {
+    await post(`Usage: \`!commit <message>\``);
+    return;
+  }
+
+  const dir = await threadDirFor({ threadTs, channel, client, access });
+  if (!dir) return;
+  if (getThread(threadTs).busy) {
+    await post(`_A run is in progress — wait for it to finish (or \`!stop\` it) first._`);
+    return;
+  }
+
+  try {
+    const commit = await commitAll(dir, { message });
+    if (!commit) {
+      await post(`_Nothing to commit._`);
+      return;
+    }
+    console.log("[commit]", commit.sha, "thread:", threadTs, "by:", access.userId);
+    await post(`:white_check_mark: Committed \`${commit.sha}\` (${commit.files} file(s)): ${message}`);
+  } catch (err) {
+    console.error("[commit error]", err.message);
+    await post(`:x: Commit failed: ${err.message}`);
+  }
+}
+
+// ── /undo — roll back the last run's file changes ───────────────────────
+
+/**
+ * Restores the files the thread's latest run changed from its pre-run
+ * snapshot. With `tree` (from an Undo button), only undoes if that run is
+ * still the latest one. Returns true if something was undone.
+ */
+async function undoLastRun({ threadTs, channel, client, access, tree = null }) {
+  const post = (text) => client.chat.postMessage({ channel, thread_ts: threadTs, text });
+
+  const dir = await threadDirFor({ threadTs, channel, client, access });
+  if (!dir) return false;
+
+  const thread = getThread(threadTs);
+  const snapshot = thread.undo;
+  if (!snapshot || (tree && tree !== snapshot.tree)) {
+    await post(
+      snapshot
+        ? `_Only the most recent run's changes can be undone._`
+        : `_Nothing to undo — the last run didn't change any files (or was already undone)._`
+    );
+    return false;
+  }
+  if (thread.busy) {
+    await post(`_A run is in progress — wait for it to finish (or \`!stop\` it) first._`);
+    return false;
+  }
+
+  let reverted;
+  try {
+    const result = await restoreSnapshot(snapshot);
+    if (result.conflicts.length) {
+      const listed = result.conflicts.slice(0, UNDO_MAX_LISTED).map((p) => `• \`${p}\``);
+      if (result.conflicts.length > UNDO_MAX_LISTED) listed.push(`_…and ${result.conflicts.length - UNDO_MAX_LISTED} more_`);
+      await post(
+        `:warning: Not undoing — ${result.conflicts.length} file(s) the run changed have been changed again since:\n${listed.join("\n")}\n` +
+          `Nothing was reverted; sort those out by hand (\`!diff\` shows the current changes).`
+      );
+      return false;
+    }
+    reverted = result.reverted;
+  } catch (err) {
+    console.error("[undo error]", err.message);
+    await post(`:x: Undo failed: ${err.message}`);
+    return false;
+  }
+  await dropSnapshot(snapshot);
+  upsertThread(threadTs, { undo: null });
+  console.log("[undo]", reverted.length, "file(s)", "thread:", threadTs, "by:", access.userId);
+
+  const listed = reverted.slice(0, UNDO_MAX_LISTED).map((f) => `• \`${f.path}\` ${f.action}`);
+  if (reverted.length > UNDO_MAX_LISTED) listed.push(`_…and ${reverted.length - UNDO_MAX_LISTED} more_`);
+  await post(
+    reverted.length
+      ? `:leftwards_arrow_with_hook: <@${access.userId}> undid the last run — reverted ${reverted.length} file(s):\n${listed.join("\n")}`
+      : `:leftwards_arrow_with_hook: The files were already back to how they were before the last run.`
+  );
+  return true;
+}
+
+// ── /worktree — the thread's isolated git checkout ──────────────────────
+
+async function handleWorktreeCommand({ args, threadTs, channel, client, access }) {
+  const post = (text) => client.chat.postMessage({ channel, thread_ts: threadTs, text });
+  const thread = getThread(threadTs);
+  const worktree = thread?.worktree;
+
+  if (!worktree) {
+    await post(
+      WORKTREES_ENABLED
+        ? `_This thread isn't using a worktree — it runs directly in \`${thread?.directory ?? DEFAULT_DIR}\`._`
+        : `_Worktree isolation is off (set \`OPENCODE_WORKTREES=true\` to enable it)._`
+    );
+    return;
+  }
+
+  const sub = (args || "").trim().toLowerCase();
+  if ((sub === "merge" || sub === "discard") && thread.busy) {
+    await post(`_A run is in progress — wait for it to finish (or \`!stop\` it) first._`);
+    return;
+  }
+
+  try {
+    switch (sub) {
+      case "":
+      case "status": {
+        const { commits, changedFiles } = await worktreeStatus(worktree);
+        await post(
+          `:deciduous_tree: *Worktree* \`${worktree.path}\`\n` +
+            `Branch \`${worktree.branch}\` from \`${worktree.base}\` in \`${worktree.repo}\`\n` +
+            `${commits} commit(s) ahead, ${changedFiles.length} uncommitted file(s)\n` +
+            `_\`!worktree merge\` to merge into \`${worktree.base}\`, \`!worktree discard\` to throw it away._`
+        );
+        return;
+      }
+      case "merge": {
+        const { committed, merged } = await mergeWorktree(worktree, {
+          message: `OpenCode changes from Slack thread ${threadTs}`,
+        });
+        console.log("[worktree merge]", worktree.branch, "by:", access.userId, { committed, merged });
+        await post(
+          merged
+            ? `:white_check_mark: Merged \`${worktree.branch}\` into \`${worktree.base}\`${committed ? " (uncommitted changes were committed first)" : ""}. The worktree stays for further work.`
+            : `_Nothing to merge — \`${worktree.branch}\` has no changes beyond \`${worktree.base}\`._`
+        );
+        return;
+      }
+      case "discard": {
+        await removeWorktree(worktree);
+        const dir = path.join(worktree.repo, worktree.subdir);
+        upsertThread(threadTs, { worktree: null, directory: dir });
+        console.log("[worktree discard]", worktree.branch, "by:", access.userId);
+        await post(`:wastebasket: Discarded \`${worktree.branch}\`. Runs in this thread now use \`${dir}\` directly.`);
+        return;
+      }
+      default:
+        await post(`Usage: \`!worktree\`, \`!worktree merge\` or \`!worktree discard\``);
+    }
+  } catch (err) {
+    console.error("[worktree error]", err.message);
+    await post(`:x: Worktree ${sub || "status"} failed: ${err.message}`);
+  }
+}
+
+// ── /close — end the thread and clean up after it ───────────────────────
+
+async function handleCloseCommand({ args, threadTs, channel, client, access }) {
+  const post = (text) => client.chat.postMessage({ channel, thread_ts: threadTs, text });
+  const thread = getThread(threadTs);
+  if (!thread) {
+    await post(`_Nothing to close here._`);
+    return;
+  }
+  if (thread.busy) {
+    await post(`_A run is in progress — \`!stop all\` it first._`);
+    return;
+  }
+
+  const worktree = thread.worktree;
+  if (worktree && args?.trim() !== "discard") {
+    try {
+      const { commits, changedFiles } = await worktreeStatus(worktree);
+      if (commits > 0 || changedFiles.length > 0) {
+        await post(
+          `:warning: The worktree on \`${worktree.branch}\` has unmerged work (${commits} commit(s), ${changedFiles.length} uncommitted file(s)). ` +
+            `\`!worktree merge\` first, or \`!close discard\` to throw it away.`
+        );
+        return;
+      }
+    } catch (err) {
+      console.error("[close] worktree status failed", err.message);
+    }
+  }
+
+  await closeThread(threadTs);
+  console.log("[close]", "thread:", threadTs, "by:", access.userId);
+  await post(`:lock: Thread closed. Mention me again to start a new conversation.`);
+}
+
+/**
+ * Forgets a thread: drops its queue, removes its worktree (if any) and
+ * transcript, and deletes it from the store.
+ */
+async function closeThread(threadTs) {
+  const thread = getThread(threadTs);
+  if (!thread) return;
+  dropQueue(threadTs, "_Removed from the queue — thread closed_");
+  if (thread.undo) {
+    await dropSnapshot(thread.undo);
+  }
+  if (thread.worktree) {
+    await removeWorktree(thread.worktree);
+  }
+  deleteTranscript(threadTs);
+  forkButtonPages.delete(threadTs);
+  deleteThread(threadTs);
+  scheduleHomeRefresh();
+}
+
+// ── /sessions, /session — move a session between Slack and the terminal ─
+
+async function handleSessionsCommand({ args, threadTs, channel, client, access }) {
+  const dir = await threadDirFor({ threadTs, channel, client, access });
+  if (!dir) return;
+
+  // !sessions <id> attaches directly, e.g. an ID copied from the terminal
+  if (args) {
+    if (!can(access, "run")) {
+      await replyEphemeral({ client, channel, threadTs, access, text: `:no_entry: Your role (${access.role}) can't attach sessions.` });
+      return;
+    }
+    await attachSession({ threadTs, channel, client, access, sessionID: args.split(/\s+/)[0] });
+    return;
+  }
+
+  let sessions;
+  try {
+    sessions = await listSessions(dir, { limit: SESSIONS_MAX_LISTED });
+  } catch (err) {
+    await client.chat.postMessage({ channel, thread_ts: threadTs, text: `:x: ${err.message}` });
+    return;
+  }
+  if (sessions.length === 0) {
+    await client.chat.postMessage({ channel, thread_ts: threadTs, text: `_No OpenCode sessions for \`${dir}\` yet._` });
+    return;
+  }
+
+  await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: "Recent sessions",
+    blocks: sessionListBlocks({ threadTs, sessions, dir }),
+  });
+}
+
+function sessionListBlocks({ threadTs, sessions, dir }) {
+  const current = getThread(threadTs)?.sessionID;
+  const blocks = [markdownSection(`*Recent OpenCode sessions* for \`${dir}\` — attach one to continue it in this thread:`)];
+
+  for (const session of sessions) {
+    const details = [
+      `\`${session.id}\``,
+      session.messages !== null ? `${session.messages} message(s)` : null,
+      session.updated ? `updated ${slackDate(new Date(session.updated).toISOString())}` : null,
+      session.directory !== dir ? `in \`${session.directory}\`` : null,
+    ].filter(Boolean);
+    const block = markdownSection(`*${truncLabel(session.title, 120)}*\n${details.join(" · ")}`);
+
+    if (session.id === current) {
+      block.text.text += "\n:link: _attached to this thread_";
+    } else {
+      block.accessory = {
+        type: "button",
+        action_id: "session_attach",
+        text: { type: "plain_text", text: "Attach" },
+        value: JSON.stringify({ threadTs, sessionID: session.id }),
+      };
+    }
+    blocks.push(block);
+  }
+  return blocks;
+}
+
+/**
+ * Points the thread at an existing session of its project, so the next
+ * message continues it. Returns false (after telling the thread) if that
+ * can't be done.
+ */
+async function attachSession({ threadTs, channel, client, access, sessionID }) {
+  const post = (text) => client.chat.postMessage({ channel, thread_ts: threadTs, text });
+  const thread = getThread(threadTs);
+  if (!thread?.directory) {
+    await post(`_No folder picked in this thread yet._`);
+    return false;
+  }
+  if (thread.busy) {
+    await post(`_A run is in progress — wait for it to finish (or \`!stop\` it) before switching sessions._`);
+    return false;
+  }
+  if (thread.sessionID === sessionID) {
+    await post(`_This thread is already on session \`${sessionID}\`._`);
+    return false;
+  }
+
+  let session;
+  try {
+    session = (await listSessions(thread.directory, { limit: SESSIONS_LOOKUP_LIMIT })).find((s) => s.id === sessionID);
+  } catch (err) {
+    await post(`:x: ${err.message}`);
+    return false;
+  }
+  if (!session) {
+    await post(`:x: No session \`${sessionID}\` in this project. \`!sessions\` lists the recent ones.`);
+    return false;
+  }
+
+  upsertThread(threadTs, { sessionID });
+  console.log("[session attach]", sessionID, "thread:", threadTs, "by:", access.userId);
+  await post(
+    `:link: This thread now continues *${session.title}* (\`${sessionID}\`)` +
+      (thread.sessionID ? `, replacing \`${thread.sessionID}\`` : "") +
+      `. Your next message goes to that session.`
+  );
+  return true;
+}
+
+async function handleSessionCommand({ threadTs, channel, client, access }) {
+  const dir = await threadDirFor({ threadTs, channel, client, access });
+  if (!dir) return;
+
+  const sessionID = getThread(threadTs)?.sessionID;
+  if (!sessionID) {
+    await client.chat.postMessage({ channel, thread_ts: threadTs, text: `_No session yet — it starts with the first run._` });
+    return;
+  }
+
+  await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: `Session ${sessionID}`,
+    blocks: [
+      markdownSection(`:computer: Session \`${sessionID}\` — to pick it up in the terminal:`),
+      markdownSection("```" + `cd ${shellQuote(dir)} && opencode --session ${sessionID}` + "```"),
+    ],
+  });
+}
+
+// ── /fork — continue a copy of the session in a new thread ──────────────
+
+async function handleForkCommand({ args, threadTs, channel, client, access }) {
+  if (!(await threadDirFor({ threadTs, channel, client, access }))) return;
+  await forkThread({ threadTs, channel, client, access, message: args });
+}
+
+/**
+ * Opens a new thread in the same channel with this thread's folder, model
+ * and agent, continuing a copy of its session. The copy is made by the new
+ * thread's first run (`--fork`), so the original session is never touched.
+ * `message`, if given, starts that run right away.
+ */
+async function forkThread({ threadTs, channel, client, access, message = null }) {
+  const post = (text) => client.chat.postMessage({ channel, thread_ts: threadTs, text });
+  const thread = getThread(threadTs);
+  if (!thread?.sessionID) {
+    await post(`_Nothing to fork yet — the session starts with the first run._`);
+    return;
+  }
+  if (thread.busy) {
+    await post(`_A run is in progress — fork once it finishes._`);
+    return;
+  }
+
+  const source = await permalink(client, channel, threadTs);
+  const title =
+    `:fork_and_knife: Forked from ${source ? `<${source}|this thread>` : "another thread"}` +
+    (message ? "" : " — reply here to continue a copy of its session.");
+
+  // A worktree thread's fork gets its own worktree of the original checkout
+  const directory = thread.worktree ? path.join(thread.worktree.repo, thread.worktree.subdir) : thread.directory;
+  const fork = await startThread({
+    client,
+    channel,
+    title,
+    directory,
+    model: thread.model,
+    agent: thread.agent,
+    forkOf: thread.sessionID,
+    message,
+    user: access.userId,
+  });
+  console.log("[fork]", thread.sessionID, "thread:", threadTs, "→", fork.threadTs, "by:", access.userId);
+
+  const link = await permalink(client, channel, fork.threadTs);
+  await post(`:fork_and_knife: Forked into ${link ? `<${link}|a new thread>` : "a new thread"} — this thread's session stays as it is.`);
+}
+
+async function permalink(client, channel, ts) {
+  try {
+    return (await client.chat.getPermalink({ channel, message_ts: ts })).permalink;
+  } catch (err) {
+    console.error("[permalink error]", err?.data?.error ?? err.message);
+    return null;
+  }
+}
+
+// ── /export — the thread's full transcript ──────────────────────────────
+
+async function handleExportCommand({ args, threadTs, channel, client, access }) {
+  const format = (args || "md").toLowerCase();
+  if (format !== "md" && format !== "json") {
+    await client.chat.postMessage({ channel, thread_ts: threadTs, text: `_Usage: \`!export [md|json]\`_` });
+    return;
+  }
+  if (!(await threadDirFor({ threadTs, channel, client, access }))) return;
+
+  const runs = readTranscript(threadTs);
+  if (runs.length === 0) {
+    await client.chat.postMessage({ channel, thread_ts: threadTs, text: `_No runs recorded in this thread yet._` });
+    return;
+  }
+
+  const title = `OpenCode transcript — thread ${threadTs}`;
+  const content =
+    format === "json"
+      ? JSON.stringify({ threadTs, channel, exportedAt: new Date().toISOString(), runs }, null, 2) + "\n"
+      : transcriptMarkdown(runs, { title });
+
+  try {
+    await client.files.uploadV2({
+      channel_id: channel,
+      thread_ts: threadTs,
+      filename: `opencode-transcript-${threadTs}.${format}`,
+      title,
+      snippet_type: format === "json" ? "json" : "markdown",
+      content,
+    });
+    console.log("[export]", format, runs.length, "run(s)", "thread:", threadTs, "by:", access.userId);
+  } catch (err) {
+    console.error("[export upload error]", err?.data?.error ?? err.message);
+    await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `:x: Could not upload the transcript (${err?.data?.error ?? err.message}). Is the \`files:write\` scope granted?`,
+    });
+  }
+}
+
+// ── /verbosity — how much of each run is shown ──────────────────────────
+
+const VERBOSITY_DESCRIPTIONS = {
+  quiet: "response text only, plus a one-line summary of tool calls",
+  normal: "thinking and tool calls, with tool input and output cut to their first lines",
+  verbose: "everything, including full tool input and output",
+};
+
+async function handleVerbosityCommand({ args, threadTs, channel, client, access }) {
+  const post = (text) => client.chat.postMessage({ channel, thread_ts: threadTs, text });
+  if (!(await threadDirFor({ threadTs, channel, client, access }))) return;
+
+  const current = getThread(threadTs).verbosity || "verbose";
+  const level = args?.toLowerCase();
+  if (!level) {
+    const options = VERBOSITY_LEVELS.map((l) => `• \`${l}\` — ${VERBOSITY_DESCRIPTIONS[l]}`).join("\n");
+    await post(`*Verbosity:* \`${current}\`\nChange it with \`!verbosity <level>\`:\n${options}`);
+    return;
+  }
+  if (!VERBOSITY_LEVELS.includes(level)) {
+    await post(`_Unknown verbosity \`${level}\` — use ${VERBOSITY_LEVELS.map((l) => `\`${l}\``).join(", ")}._`);
+    return;
+  }
+
+  upsertThread(threadTs, { verbosity: level });
+  console.log("[verbosity]", level, "thread:", threadTs, "by:", access.userId);
+  await post(`:mag: Verbosity set to \`${level}\` — ${VERBOSITY_DESCRIPTIONS[level]}. Applies from the next run.`);
+}
+
+// ── /settings — see and change the thread's settings ────────────────────
+
+// Messages have no trigger_id to open a dialog with, so !settings posts the
+// current settings with a button that opens it
+async function handleSettingsCommand({ threadTs, channel, client, access }) {
+  if (!(await threadDirFor({ threadTs, channel, client, access }))) return;
+
+  await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: "Thread settings",
+    blocks: settingsBlocks(threadTs),
+  });
+}
+
+function settingsBlocks(threadTs) {
+  return [
+    markdownSection(describeThreadSettings(getThread(threadTs))),
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          action_id: "settings_open",
+          text: { type: "plain_text", text: ":gear: Open settings", emoji: true },
+          value: JSON.stringify({ threadTs }),
+        },
+      ],
+    },
+  ];
+}
+
+function describeThreadSettings(thread) {
+  let session = "_new session on the next message_";
+  if (thread.sessionID) session = `\`${thread.sessionID}\``;
+  else if (thread.forkOf) session = `_copy of \`${thread.forkOf}\` on the next message_`;
+
+  const lines = [
+    `*Folder:* \`${thread.directory}\`${thread.worktree ? ` (worktree on \`${thread.worktree.branch}\`)` : ""}`,
+    `*Model:* ${thread.model ? `\`${thread.model}\`` : `\`${DEFAULT_MODEL}\` (default)`}`,
+    `*Agent:* ${thread.agent ? `\`${thread.agent}\`` : "default"}`,
+    `*Session:* ${session}`,
+    `*Verbosity:* \`${thread.verbosity || "verbose"}\``,
+  ];
+  if (thread.busy || thread.queue?.length) {
+    lines.push(`*Now:* ${thread.busy ? "running" : "idle"}, ${thread.queue.length} queued`);
+  }
+  return lines.join("\n");
+}
+
+function settingsView({ threadTs, channel, messageTs, thread }) {
+  const input = (blockId, label, initial, { hint, placeholder, optional = true } = {}) => ({
+    type: "input",
+    block_id: blockId,
+    optional,
+    label: { type: "plain_text", text: label },
+    ...(hint && { hint: { type: "plain_text", text: hint } }),
+    element: {
+      type: "plain_text_input",
+      action_id: "value",
+      ...(initial && { initial_value: initial }),
+      ...(placeholder && { placeholder: { type: "plain_text", text: placeholder } }),
+    },
+  });
+  const option = (level) => ({ text: { type: "plain_text", text: level }, value: level });
+
+  const blocks = [];
+  if (thread.worktree) {
+    blocks.push(contextBlock(`*Folder:* \`${thread.directory}\` — this thread's worktree on \`${thread.worktree.branch}\`. Close the thread to work somewhere else.`));
+  } else {
+    blocks.push(input("directory", "Folder", thread.directory, { optional: false, hint: "Absolute path. The session carries over to the new folder." }));
+  }
+  blocks.push(
+    input("model", "Model", thread.model, { placeholder: `Default (${DEFAULT_MODEL})`, hint: "provider/model, as listed by !models" }),
+    input("agent", "Agent", thread.agent, { placeholder: "Default", hint: "As listed by !agents" }),
+    input("session", "Session ID", thread.sessionID, {
+      placeholder: "Empty starts a new session",
+      hint: "Another session of this project continues it here (see !sessions)",
+    }),
+    {
+      type: "input",
+      block_id: "verbosity",
+      label: { type: "plain_text", text: "Verbosity" },
+      element: {
+        type: "static_select",
+        action_id: "value",
+        initial_option: option(thread.verbosity || "verbose"),
+        options: VERBOSITY_LEVELS.map(option),
+      },
+    }
+  );
+
+  return {
+    type: "modal",
+    callback_id: "thread_settings",
+    private_metadata: JSON.stringify({ threadTs, channel, messageTs }),
+    title: { type: "plain_text", text: "Thread settings" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks,
+  };
+}
+
+// ── /schedule — recurring prompts ───────────────────────────────────────
+
+const SCHEDULE_USAGE =
+  "Usage:\n" +
+  "`!schedule add <min> <hour> <day> <month> <weekday> [#channel] <prompt>` (or `@daily`, `@hourly`, …)\n" +
+  "`!schedule list`\n" +
+  "`!schedule delete <id>`\n" +
+  "Runs use this thread's folder, model and agent, and post in this channel unless another is given.";
+
+async function handleScheduleCommand({ args, threadTs, channel, client, access }) {
+  const post = (text, blocks) => client.chat.postMessage({ channel, thread_ts: threadTs, text, blocks });
+  const [sub, ...restParts] = (args || "list").trim().split(/\s+/);
+  const rest = (args || "").trim().slice(sub.length).trim();
+
+  switch (sub.toLowerCase()) {
+    case "list":
+      await post("Schedules", scheduleListBlocks(access));
+      return;
+
+    case "delete":
+    case "remove": {
+      const id = restParts[0];
+      const schedule = listSchedules().find((sc) => sc.id === id);
+      if (!schedule || !isDirAllowed(access, schedule.directory)) {
+        await post(`_No schedule \`${id ?? ""}\`._`);
+        return;
+      }
+      deleteSchedule(id);
+      console.log("[schedule delete]", id, "by:", access.userId);
+      await post(`:wastebasket: Deleted schedule \`${id}\` (\`${schedule.cron}\`).`);
+      return;
+    }
+
+    case "add": {
+      // "<5 cron fields | @alias> [<#C123|name>] <prompt>"
+      const match = rest.match(/^(@\w+|(?:\S+\s+){4}\S+)\s+(?:<#(\w+)(?:\|[^>]*)?>\s+)?(.+)$/s);
+      if (!match) {
+        await post(SCHEDULE_USAGE);
+        return;
+      }
+      const [, cron, targetChannel, prompt] = match;
+
+      // A worktree thread schedules against the repository it came from
+      const thread = getThread(threadTs);
+      const directory = thread?.worktree
+        ? path.join(thread.worktree.repo, thread.worktree.subdir)
+        : thread?.directory ?? DEFAULT_DIR;
+      if (!isDirAllowed(access, directory)) {
+        await replyEphemeral({ client, channel, threadTs, access, text: `:no_entry: You don't have access to \`${directory}\`.` });
+        return;
+      }
+
+      let schedule;
+      try {
+        schedule = addSchedule({
+          cron,
+          prompt: prompt.trim(),
+          channel: targetChannel ?? channel,
+          directory,
+          model: thread?.model ?? null,
+          agent: thread?.agent ?? null,
+          createdBy: access.userId,
+        });
+      } catch (err) {
+        await post(`:x: Invalid schedule: ${err.message}`);
+        return;
+      }
+      console.log("[schedule add]", schedule.id, schedule.cron, "by:", access.userId);
+      await post(`:alarm_clock: Scheduled \`${schedule.id}\` — ${describeSchedule(schedule)}`);
+      return;
+    }
+
+    default:
+      await post(SCHEDULE_USAGE);
+  }
+}
+
+function scheduleListBlocks(access) {
+  const visible = listSchedules().filter((sc) => isDirAllowed(access, sc.directory));
+  if (visible.length === 0) {
+    return [markdownSection("_No schedules. Add one with `!schedule add`._")];
+  }
+
+  const blocks = [markdownSection(`:alarm_clock: *Schedules* — ${visible.length}`)];
+  for (const schedule of visible.slice(0, SCHEDULES_MAX_LISTED)) {
+    blocks.push({
+      ...markdownSection(`*\`${schedule.id}\`* ${describeSchedule(schedule)}`),
+      accessory: {
+        type: "button",
+        text: { type: "plain_text", text: "Delete", emoji: true },
+        style: "danger",
+        value: JSON.stringify({ action: "delete", id: schedule.id }),
+        action_id: "schedule_delete",
+        confirm: {
+          title: { type: "plain_text", text: "Delete schedule?" },
+          text: { type: "plain_text", text: `Stop running schedule ${schedule.id}.` },
+          confirm: { type: "plain_text", text: "Delete" },
+          deny: { type: "plain_text", text: "Keep" },
+        },
+      },
+    });
+  }
+  if (visible.length > SCHEDULES_MAX_LISTED) {
+    blocks.push(contextBlock(`_…and ${visible.length - SCHEDULES_MAX_LISTED} more_`));
+  }
+  return blocks;
+}
+
+function describeSchedule(schedule) {
+  const next = schedule.nextRunAt ? slackDate(schedule.nextRunAt) : "never";
+  const settings = [schedule.model, schedule.agent].filter(Boolean).map((x) => `\`${x}\``).join(", ");
+  return (
+    `\`${schedule.cron}\` in <#${schedule.channel}>, folder \`${schedule.directory}\`${settings ? ` (${settings})` : ""} — next ${next}\n` +
+    `>${truncLabel(schedule.prompt.replace(/\s+/g, " "), 200)}`
+  );
+}
+
+/**
+ * Fires a due schedule: a new thread in its channel, run as its creator
+ * (who must still be allowed to run in its folder).
+ */
+async function runSchedule(schedule) {
+  const client = bolt.client;
+  const access = await getAccess(client, schedule.createdBy);
+  if (!access || !can(access, "run") || !isDirAllowed(access, schedule.directory)) {
+    console.log("[schedule] creator can no longer run in", schedule.directory, "— skipping", schedule.id);
+    return;
+  }
+
+  console.log("[schedule] running", schedule.id, schedule.cron);
+  await startThread({
+    client,
+    channel: schedule.channel,
+    title: `:alarm_clock: *Scheduled run* \`${schedule.id}\` (\`${schedule.cron}\`, set up by <@${schedule.createdBy}>)\n>${schedule.prompt}`,
+    directory: schedule.directory,
+    model: schedule.model,
+    agent: schedule.agent,
+    worktree: false,
+    message: schedule.prompt,
+    user: schedule.createdBy,
+  });
+}
+
+// ── HTTP API — runs started by scripts and CI ───────────────────────────
+
+const HTTP_DEFAULT_CHANNEL = process.env.OPENCODE_HTTP_CHANNEL || null;
+
+/**
+ * Validates a POST /runs body and starts its thread. The run counts as the
+ * given Slack user's (default: ALLOWED_USER_ID) and must pass their access.
+ */
+async function startRunFromApi(body) {
+  const client = bolt.client;
+  const { prompt, model = null, agent = null, title } = body;
+  const directory = body.directory || DEFAULT_DIR;
+  const channel = body.channel || HTTP_DEFAULT_CHANNEL;
+  const user = body.user || process.env.ALLOWED_USER_ID;
+
+  if (typeof prompt !== "string" || !prompt.trim()) {
+    throw new HttpError(400, "prompt is required");
+  }
+  if (!channel) {
+    throw new HttpError(400, "channel is required (or set OPENCODE_HTTP_CHANNEL)");
+  }
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new HttpError(400, `directory ${directory} does not exist`);
+  }
+
+  const access = await getAccess(client, user);
+  if (!access || !can(access, "run")) {
+    throw new HttpError(403, `user ${user} can't start runs`);
+  }
+  if (!isDirAllowed(access, directory)) {
+    throw new HttpError(403, `user ${user} has no access to ${directory}`);
+  }
+
+  if (model) {
+    const models = await listModels();
+    if (models.length && !models.includes(model)) throw new HttpError(400, `unknown model ${model}`);
+  }
+  if (agent) {
+    const agents = await listAgents();
+    if (agents.length && !agents.some((a) => a.name === agent)) throw new HttpError(400, `unknown agent ${agent}`);
+  }
+
+  let onResult;
+  const result = new Promise((resolve) => (onResult = resolve));
+
+  let threadTs;
+  try {
+    ({ threadTs } = await startThread({
+      client,
+      channel,
+      title: `:satellite_antenna: *${title || "Run from the HTTP API"}* (as <@${access.userId}>) in \`${directory}\`\n>${truncLabel(prompt.replace(/\s+/g, " "), 500)}`,
+      directory,
+      model,
+      agent,
+      worktree: false,
+      message: prompt,
+      user: access.userId,
+      onResult,
+    }));
+  } catch (err) {
+    throw new HttpError(502, `Slack: ${err?.data?.error ?? err.message}`);
+  }
+
+  let link = null;
+  try {
+    ({ permalink: link } = await client.chat.getPermalink({ channel, message_ts: threadTs }));
+  } catch (err) {
+    console.error("[permalink error]", err?.data?.error ?? err.message);
+  }
+
+  return { threadTs, channel, link, result };
+}
+
+// ── /access — show the caller's role and directory scope ────────────────
+
+async function handleAccessCommand({ threadTs, channel, client, access }) {
+  const scope = access.roots ? access.roots.map((r) => `\`${r}\``).join(", ") : "any directory";
+  let text = `:key: *Role:* ${access.role}\n*Directories:* ${scope}`;
+
+  if (can(access, "admin")) {
+    text += `\n\n*Access configuration:*\n${describeConfig().map((l) => `• ${l}`).join("\n")}`;
+  }
+
+  await replyEphemeral({ client, channel, threadTs, access, text });
+}
+
+// ── /continue — go past an exceeded budget ──────────────────────────────
+
+/**
+ * Grants the thread one more budget's worth and runs whatever the budget
+ * stop was holding (the blocked prompt, or a nudge to resume the session).
+ */
+async function continuePastBudget({ threadTs, channel, client, access }) {
+  const hold = getThread(threadTs)?.budgetHold;
+  if (!hold) {
+    await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `_Nothing in this thread is waiting on a budget._`,
+    });
+    return;
+  }
+
+  console.log("[budget continue]", "thread:", threadTs, "by:", access.userId);
+  upsertThread(threadTs, {
+    budgetHold: null,
+    budgetWaiver: grantWaiver({ threadTs, user: hold.user }),
+  });
+
+  await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: `:money_with_wings: <@${access.userId}> approved going past the budget — continuing.`,
+  });
+
+  await runWithQueue({
+    threadTs,
+    channel,
+    client,
+    message: hold.message,
+    command: hold.command ?? undefined,
+    user: access.userId,
+  });
+}
+
+/**
+ * Parks a thread after a budget stop and asks for an explicit go-ahead.
+ */
+async function holdForBudget({ threadTs, channel, client, exceeded, hold }) {
+  upsertThread(threadTs, { budgetHold: hold });
+
+  await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: `Budget exceeded: ${describeExceeded(exceeded)}`,
+    blocks: [
+      markdownSection(
+        `:money_with_wings: *Budget exceeded* — ${describeExceeded(exceeded)}.\n` +
+          `Type \`!continue\` or click *Continue* to go past the limit.`
+      ),
+      {
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: { type: "plain_text", text: ":arrow_forward: Continue", emoji: true },
+            value: JSON.stringify({ action: "continue", threadTs }),
+            action_id: "budget_continue",
+          },
+        ],
+      },
+    ],
+  });
+}
+
+// ── /usage — token and cost report ──────────────────────────────────────
+
+async function handleUsageCommand({ args, threadTs, channel, client, access }) {
+  const words = (args || "").split(/\s+/).filter(Boolean);
+  const csv = words.includes("csv");
+  const days = Number(words.find((w) => /^\d+$/.test(w))) || USAGE_DEFAULT_DAYS;
+
+  const since = new Date();
+  since.setHours(0, 0, 0, 0);
+  since.setDate(since.getDate() - (days - 1));
+
+  // Scoped users only see spend in directories they have access to
+  const entries = readUsage({ since }).filter((e) => isDirAllowed(access, e.directory));
+
+  if (entries.length === 0) {
+    await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `_No usage recorded in the last ${days} day(s)._`,
+    });
+    return;
+  }
+
+  if (csv) {
+    try {
+      await client.files.uploadV2({
+        channel_id: channel,
+        thread_ts: threadTs,
+        filename: `opencode-usage-${dayKey(since)}-to-${dayKey(new Date())}.csv`,
+        title: `OpenCode usage — last ${days} day(s)`,
+        content: usageCsv(entries),
+      });
+    } catch (err) {
+      console.error("[usage upload error]", err?.data?.error ?? err.message);
+      await client.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: `:x: Could not upload the CSV (${err?.data?.error ?? err.message}). Is the \`files:write\` scope granted?`,
+      });
+    }
+    return;
+  }
+
+  const [total] = summarizeUsage(entries, () => "total");
+  const byDay = summarizeUsage(entries, (e) => dayKey(e.startedAt)).sort((a, b) => b.key.localeCompare(a.key));
+  const byProject = summarizeUsage(entries, (e) => e.directory || "(none)");
+  const byModel = summarizeUsage(entries, (e) => e.model || DEFAULT_MODEL);
+
+  const blocks = [
+    markdownSection(
+      `:bar_chart: *Usage — last ${days} day(s):* ${total.runs} runs, *$${total.cost.toFixed(2)}*, ` +
+        `${fmtNum(total.input)} in / ${fmtNum(total.output)} out`
+    ),
+    markdownSection(`*By day*\n${usageTable(byDay)}`),
+    markdownSection(`*By project*\n${usageTable(byProject)}`),
+    markdownSection(`*By model*\n${usageTable(byModel)}`),
+    contextBlock(`\`!usage <days>\` for another window, \`!usage csv\` to export every run`),
+  ];
+
+  await client.chat.postMessage({ channel, thread_ts: threadTs, text: "OpenCode usage", blocks });
+}
+
+function usageTable(rows) {
+  const shown = rows.slice(0, USAGE_MAX_ROWS);
+  const width = Math.max(...shown.map((r) => r.key.length));
+  const lines = shown.map(
+    (r) =>
+      `${r.key.padEnd(width)}  ${String(r.runs).padStart(4)} runs  $${r.cost.toFixed(2).padStart(8)}  ` +
+      `${fmtNum(r.input)} in / ${fmtNum(r.output)} out`
+  );
+  if (rows.length > shown.length) lines.push(`…and ${rows.length - shown.length} more`);
+  return `\`\`\`\n${lines.join("\n")}\n\`\`\``;
+}
+
+// ── /model — show model picker or set model directly ────────────────────
+
+async function handleModelCommand({ args, threadTs, channel, client, access }) {
+  const thread = getThread(threadTs);
+  const currentModel = thread?.model || `${DEFAULT_MODEL} (default)`;
+
+  // If args provided, set model directly
+  if (args) {
+    const models = await listModels();
+    if (models.length === 0) {
+      await client.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: `:x: Could not load models list. Make sure opencode is configured and accessible.`,
+      });
+      return;
+    }
+    // Exact match or partial match
+    const exact = models.find((m) => m === args);
+    const partial = !exact ? models.filter((m) => m.includes(args)) : [];
+
+    if (exact) {
+      upsertThread(threadTs, { model: exact });
+      await client.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: `:white_check_mark: Model set to \`${exact}\``,
+      });
+      if (!getThread(threadTs)?.directory) {
+        await showFolderPicker({ threadTs, channel, client, browsePath: null, access });
+      }
+      return;
+    }
+
+    if (partial.length === 1) {
+      upsertThread(threadTs, { model: partial[0] });
+      await client.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: `:white_check_mark: Model set to \`${partial[0]}\``,
+      });
+      if (!getThread(threadTs)?.directory) {
+        await showFolderPicker({ threadTs, channel, client, browsePath: null, access });
+      }
+      return;
+    }
+
+    if (partial.length > 1 && partial.length <= 20) {
+      // Show matches as buttons
+      const chunks = chunkArray(partial, 5);
+      const blocks = [
+        markdownSection(`:mag: Multiple matches for \`${args}\`:`),
+      ];
+      for (const [chunkIndex, chunk] of chunks.entries()) {
+        blocks.push({
+          type: "actions",
+          elements: chunk.map((m, modelIndex) => ({
+            type: "button",
+            text: { type: "plain_text", text: truncLabel(m, 60), emoji: true },
             value: JSON.stringify({ action: "set_model", model: m, threadTs }),
             action_id: `model_pick_${chunkIndex}_${modelIndex}`,
           })),
@@ -365,7 +2164,7 @@ async function handleModelCommand({ args, threadTs, channel, client }) {
 
 // ── /agents — show agent picker or set agent directly ───────────────────
 
-async function handleAgentsCommand({ args, threadTs, channel, client }) {
+async function handleAgentsCommand({ args, threadTs, channel, client, access }) {
   const thread = getThread(threadTs);
   const currentAgent = thread?.agent || "build (default)";
 
@@ -382,7 +2181,7 @@ async function handleAgentsCommand({ args, threadTs, channel, client }) {
         text: `:white_check_mark: Agent set to \`${match.name}\` (${match.type})`,
       });
       if (!getThread(threadTs)?.directory) {
-        await showFolderPicker({ threadTs, channel, client, browsePath: null });
+        await showFolderPicker({ threadTs, channel, client, browsePath: null, access });
       }
       return;
     }
@@ -397,7 +2196,7 @@ async function handleAgentsCommand({ args, threadTs, channel, client }) {
         text: `:white_check_mark: Agent set to \`${partial[0].name}\` (${partial[0].type})`,
       });
       if (!getThread(threadTs)?.directory) {
-        await showFolderPicker({ threadTs, channel, client, browsePath: null });
+        await showFolderPicker({ threadTs, channel, client, browsePath: null, access });
       }
       return;
     }
@@ -467,7 +2266,7 @@ async function handleAgentsCommand({ args, threadTs, channel, client }) {
 
 // ── Folder picker ───────────────────────────────────────────────────────
 
-async function showFolderPicker({ threadTs, channel, client, browsePath }) {
+async function showFolderPicker({ threadTs, channel, client, browsePath, access }) {
   const blocks = [];
 
   if (!browsePath) {
@@ -476,13 +2275,14 @@ async function showFolderPicker({ threadTs, channel, client, browsePath }) {
       text: { type: "mrkdwn", text: ":file_folder: *Choose a project folder:*" },
     });
 
-    if (PROJECTS.length > 0) {
+    const bookmarks = PROJECTS.filter((p) => isDirAllowed(access, p));
+    if (bookmarks.length > 0) {
       blocks.push({
         type: "section",
         text: { type: "mrkdwn", text: "*Bookmarks:*" },
       });
 
-      const chunks = chunkArray(PROJECTS, 5);
+      const chunks = chunkArray(bookmarks, 5);
       for (const chunk of chunks) {
         blocks.push({
           type: "actions",
@@ -498,25 +2298,25 @@ async function showFolderPicker({ threadTs, channel, client, browsePath }) {
       blocks.push({ type: "divider" });
     }
 
-    blocks.push({
-      type: "actions",
-      elements: [
-        {
-          type: "button",
-          text: { type: "plain_text", text: ":open_file_folder: Browse...", emoji: true },
-          value: JSON.stringify({ action: "browse", dir: BROWSE_ROOT, threadTs }),
-          action_id: "folder_browse",
-        },
-        {
-          type: "button",
-          text: { type: "plain_text", text: ":fast_forward: Use default", emoji: true },
-          value: JSON.stringify({ action: "select", dir: DEFAULT_DIR, threadTs }),
-          action_id: "folder_use_default",
-        },
-      ],
-    });
+    const elements = [
+      {
+        type: "button",
+        text: { type: "plain_text", text: ":open_file_folder: Browse...", emoji: true },
+        value: JSON.stringify({ action: "browse", dir: browseStart(access, BROWSE_ROOT), threadTs }),
+        action_id: "folder_browse",
+      },
+    ];
+    if (isDirAllowed(access, DEFAULT_DIR)) {
+      elements.push({
+        type: "button",
+        text: { type: "plain_text", text: ":fast_forward: Use default", emoji: true },
+        value: JSON.stringify({ action: "select", dir: DEFAULT_DIR, threadTs }),
+        action_id: "folder_use_default",
+      });
+    }
+    blocks.push({ type: "actions", elements });
   } else {
-    blocks.push(...buildBrowseBlocks(browsePath, threadTs));
+    blocks.push(...buildBrowseBlocks(browsePath, threadTs, access));
   }
 
   const thread = getThread(threadTs);
@@ -543,7 +2343,7 @@ async function showFolderPicker({ threadTs, channel, client, browsePath }) {
   }
 }
 
-function buildBrowseBlocks(browsePath, threadTs) {
+function buildBrowseBlocks(browsePath, threadTs, access) {
   const blocks = [];
   const resolved = path.resolve(browsePath);
 
@@ -555,7 +2355,7 @@ function buildBrowseBlocks(browsePath, threadTs) {
   const parentDir = path.dirname(resolved);
   const navElements = [];
 
-  if (parentDir !== resolved) {
+  if (parentDir !== resolved && isDirAllowed(access, parentDir)) {
     navElements.push({
       type: "button",
       text: { type: "plain_text", text: ":arrow_up: Parent", emoji: true },
@@ -628,7 +2428,6 @@ function buildBrowseBlocks(browsePath, threadTs) {
 // Folder picker actions
 bolt.action(/^folder_/, async ({ action, ack, body, client }) => {
   await ack();
-  if (!isAllowed(body.user?.id)) return;
 
   let payload;
   try {
@@ -641,20 +2440,22 @@ bolt.action(/^folder_/, async ({ action, ack, body, client }) => {
   const { action: act, dir, threadTs } = payload;
   const channel = body.channel?.id;
 
+  const access = await authorizeAction({ body, client, dir });
+  if (!access) return;
+
   console.log("[folder action]", act, dir, "thread:", threadTs);
 
   if (act === "browse") {
     upsertThread(threadTs, { browsePath: dir });
-    await showFolderPicker({ threadTs, channel, client, browsePath: dir });
+    await showFolderPicker({ threadTs, channel, client, browsePath: dir, access });
   } else if (act === "select") {
-    await folderSelected({ dir, threadTs, channel, client });
+    await folderSelected({ dir, threadTs, channel, client, access });
   }
 });
 
 // Model picker actions
 bolt.action(/^model_pick_/, async ({ action, ack, body, client }) => {
   await ack();
-  if (!isAllowed(body.user?.id)) return;
 
   let payload;
   try {
@@ -665,6 +2466,9 @@ bolt.action(/^model_pick_/, async ({ action, ack, body, client }) => {
   }
 
   const { model, threadTs } = payload;
+  const access = await authorizeAction({ body, client, dir: getThread(threadTs)?.directory });
+  if (!access) return;
+
   const channel = body.channel?.id;
 
   console.log("[model action]", model, "thread:", threadTs);
@@ -685,14 +2489,13 @@ bolt.action(/^model_pick_/, async ({ action, ack, body, client }) => {
   // Show folder picker if no directory set yet
   const thread = getThread(threadTs);
   if (!thread?.directory) {
-    await showFolderPicker({ threadTs, channel, client, browsePath: null });
+    await showFolderPicker({ threadTs, channel, client, browsePath: null, access });
   }
 });
 
 // Agent picker actions
 bolt.action(/^agent_pick_/, async ({ action, ack, body, client }) => {
   await ack();
-  if (!isAllowed(body.user?.id)) return;
 
   let payload;
   try {
@@ -702,36 +2505,525 @@ bolt.action(/^agent_pick_/, async ({ action, ack, body, client }) => {
     return;
   }
 
-  const { agent, threadTs } = payload;
-  const channel = body.channel?.id;
+  const { agent, threadTs } = payload;
+  const access = await authorizeAction({ body, client, dir: getThread(threadTs)?.directory });
+  if (!access) return;
+
+  const channel = body.channel?.id;
+
+  console.log("[agent action]", agent, "thread:", threadTs);
+
+  upsertThread(threadTs, { agent });
+
+  try {
+    await client.chat.update({
+      channel,
+      ts: body.message.ts,
+      text: `Agent: ${agent}`,
+      blocks: [markdownSection(`:white_check_mark: *Agent set to:* \`${agent}\``)],
+    });
+  } catch (err) {
+    console.error("[agent update error]", err?.data?.error ?? err.message);
+  }
+
+  // Show folder picker if no directory set yet
+  const thread = getThread(threadTs);
+  if (!thread?.directory) {
+    await showFolderPicker({ threadTs, channel, client, browsePath: null, access });
+  }
+});
+
+// Stop buttons on streaming responses
+bolt.action(/^run_stop/, async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const { threadTs, clearQueue } = payload;
+  if (!(await authorizeAction({ body, client, dir: getThread(threadTs)?.directory }))) return;
+  console.log("[stop action]", "thread:", threadTs, "clearQueue:", !!clearQueue);
+  stopRun(threadTs, { clearQueue: !!clearQueue });
+});
+
+// Approve / Deny buttons on permission requests
+bolt.action(/^approval_/, async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const { requestID, threadTs } = payload;
+  const access = await authorizeAction({ body, client, dir: getThread(threadTs)?.directory });
+  if (!access) return;
+
+  const reply = action.action_id === "approval_approve" ? "once" : "reject";
+  console.log("[approval action]", reply, requestID, "thread:", threadTs);
+  await resolveApproval(requestID, { reply, userId: access.userId });
+});
+
+// Continue button on budget notices
+bolt.action("budget_continue", async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const { threadTs } = payload;
+  const access = await authorizeAction({ body, client, dir: getThread(threadTs)?.directory });
+  if (!access) return;
+
+  try {
+    await client.chat.update({
+      channel: body.channel?.id,
+      ts: body.message.ts,
+      text: "Budget exceeded",
+      blocks: [body.message.blocks[0], contextBlock(`:arrow_forward: Continued by <@${access.userId}>`)],
+    });
+  } catch (err) {
+    console.error("[budget notice update error]", err?.data?.error ?? err.message);
+  }
+
+  await continuePastBudget({ threadTs, channel: body.channel?.id, client, access });
+});
+
+// Delete buttons on the !schedule list
+bolt.action("schedule_delete", async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const schedule = listSchedules().find((sc) => sc.id === payload.id);
+  const access = await authorizeAction({ body, client, dir: schedule?.directory });
+  if (!access) return;
+
+  if (schedule) {
+    deleteSchedule(schedule.id);
+    console.log("[schedule delete]", schedule.id, "by:", access.userId);
+  }
+  try {
+    await client.chat.update({
+      channel: body.channel?.id,
+      ts: body.message.ts,
+      text: "Schedules",
+      blocks: scheduleListBlocks(access),
+    });
+  } catch (err) {
+    console.error("[schedule list update error]", err?.data?.error ?? err.message);
+  }
+});
+
+// Open settings button on the !settings message
+bolt.action("settings_open", async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const { threadTs } = payload;
+  const thread = getThread(threadTs);
+  if (!(await authorizeAction({ body, client, dir: thread?.directory }))) return;
+  if (!thread) return;
+
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: settingsView({ threadTs, channel: body.channel?.id, messageTs: body.message?.ts, thread }),
+    });
+  } catch (err) {
+    console.error("[settings modal error]", err?.data?.error ?? err.message);
+  }
+});
+
+// Attach buttons on the !sessions list
+bolt.action("session_attach", async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const { threadTs, sessionID } = payload;
+  const dir = getThread(threadTs)?.directory;
+  const access = await authorizeAction({ body, client, dir });
+  if (!access) return;
+
+  const channel = body.channel?.id;
+  if (!(await attachSession({ threadTs, channel, client, access, sessionID }))) return;
+
+  try {
+    const sessions = await listSessions(dir, { limit: SESSIONS_MAX_LISTED });
+    await client.chat.update({ channel, ts: body.message.ts, text: "Recent sessions", blocks: sessionListBlocks({ threadTs, sessions, dir }) });
+  } catch (err) {
+    console.error("[session list update error]", err?.data?.error ?? err.message);
+  }
+});
+
+// Fork button under a finished response
+bolt.action("run_fork", async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const { threadTs } = payload;
+  const thread = getThread(threadTs);
+  const access = await authorizeAction({ body, client, dir: thread?.directory });
+  if (!access) return;
+
+  const channel = body.channel?.id;
+  if (thread && thread.lastResponseTs !== body.message.ts) {
+    await replyEphemeral({
+      client,
+      channel,
+      threadTs,
+      access,
+      text: `:fork_and_knife: The session has moved on since this response — only the latest one can be forked. \`!fork\` forks the session as it is now.`,
+    });
+    return;
+  }
+  await forkThread({ threadTs, channel, client, access });
+});
+
+// Undo button under a finished response
+bolt.action("run_undo", async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const { threadTs, tree } = payload;
+  const access = await authorizeAction({ body, client, dir: getThread(threadTs)?.directory });
+  if (!access) return;
+
+  const channel = body.channel?.id;
+  if (!(await undoLastRun({ threadTs, channel, client, access, tree }))) return;
+
+  try {
+    const blocks = body.message.blocks.filter((b) => b.block_id !== "run_undo");
+    blocks.push(contextBlock(`:leftwards_arrow_with_hook: _Changes undone by <@${access.userId}>_`));
+    await client.chat.update({ channel, ts: body.message.ts, text: body.message.text, blocks });
+    const forkPage = forkButtonPages.get(threadTs);
+    if (forkPage?.ts === body.message.ts) forkPage.blocks = blocks;
+  } catch (err) {
+    console.error("[undo button update error]", err?.data?.error ?? err.message);
+  }
+});
+
+// Queue buttons: Run next / Edit / Remove on items, Clear on the listing
+bolt.action(/^queue_/, async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const { threadTs, id, from } = payload;
+  const channel = body.channel?.id;
+  const access = await authorizeAction({ body, client, dir: getThread(threadTs)?.directory });
+  if (!access) return;
+
+  const item = id ? getThread(threadTs)?.queue?.find((q) => q.id === id) : null;
+  if (id && !item) {
+    await replyEphemeral({ client, channel, threadTs, access, text: `_That message is no longer queued._` });
+    return;
+  }
+
+  console.log("[queue action]", action.action_id, id ?? "", "thread:", threadTs, "by:", access.userId);
+
+  switch (action.action_id) {
+    case "queue_remove":
+      removeQueueItem(threadTs, id);
+      retireQueueNotice(item, `_Removed from the queue by <@${access.userId}>_`);
+      break;
+    case "queue_next": {
+      const queue = getThread(threadTs).queue;
+      upsertThread(threadTs, { queue: [item, ...queue.filter((q) => q.id !== id)] });
+      break;
+    }
+    case "queue_clear":
+      dropQueue(threadTs, `_Removed from the queue by <@${access.userId}>_`);
+      break;
+    case "queue_edit":
+      try {
+        await client.views.open({
+          trigger_id: body.trigger_id,
+          view: queueEditView({ threadTs, item, listTs: from === "list" ? body.message.ts : null, channel }),
+        });
+      } catch (err) {
+        console.error("[queue edit modal error]", err?.data?.error ?? err.message);
+      }
+      return;
+  }
+
+  if (from === "list") {
+    await refreshQueueList({ client, channel, ts: body.message.ts, threadTs });
+  }
+});
+
+// Jump buttons on the App Home just open a link, but Slack still sends the click
+bolt.action("home_jump", async ({ ack }) => {
+  await ack();
+});
+
+// Stop / Clear buttons on the App Home
+bolt.action(/^home_(stop|clear)$/, async ({ action, ack, body, client }) => {
+  await ack();
+
+  let payload;
+  try {
+    payload = JSON.parse(action.value);
+  } catch {
+    console.error("[action] bad payload", action.value);
+    return;
+  }
+
+  const { threadTs } = payload;
+  const thread = getThread(threadTs);
+  const access = await authorizeAction({ body, client, dir: thread?.directory });
+  if (!access) return;
+
+  if (thread && action.action_id === "home_stop") {
+    console.log("[home stop]", "thread:", threadTs, "by:", access.userId);
+    stopRun(threadTs);
+  } else if (thread && !thread.busy) {
+    await closeThread(threadTs);
+    console.log("[home clear]", "thread:", threadTs, "by:", access.userId);
+    try {
+      if (thread.channel) {
+        await client.chat.postMessage({
+          channel: thread.channel,
+          thread_ts: threadTs,
+          text: `:lock: Thread cleared from the App Home by <@${access.userId}>. Mention me again to start a new conversation.`,
+        });
+      }
+    } catch (err) {
+      console.error("[home clear notice error]", err?.data?.error ?? err.message);
+    }
+  }
+  await publishHome(client, access.userId);
+});
 
-  console.log("[agent action]", agent, "thread:", threadTs);
+// Edit-queued-message modal
+bolt.view("queue_edit", async ({ ack, view, body, client }) => {
+  const { threadTs, id, channel, listTs } = JSON.parse(view.private_metadata);
+  const message = view.state.values.prompt.message.value?.trim();
 
-  upsertThread(threadTs, { agent });
+  const thread = getThread(threadTs);
+  const access = await getAccess(client, body.user.id);
+  if (!access || !can(access, "run") || (thread?.directory && !isDirAllowed(access, thread.directory))) {
+    await ack({ response_action: "errors", errors: { prompt: "You don't have access to this thread's queue." } });
+    return;
+  }
+  if (!message) {
+    await ack({ response_action: "errors", errors: { prompt: "The message can't be empty." } });
+    return;
+  }
+  const item = updateQueueItem(threadTs, id, { message });
+  if (!item) {
+    await ack({ response_action: "errors", errors: { prompt: "This message already started or was removed." } });
+    return;
+  }
+  await ack();
+
+  console.log("[queue edit]", id, "thread:", threadTs, "by:", access.userId);
+  if (item.notice) {
+    const headline = `_Queued (edited by <@${access.userId}>) — waiting for its turn..._`;
+    slackUpdates
+      .update({ ...item.notice, text: headline, blocks: queuedNoticeBlocks(threadTs, item, headline) })
+      .catch((err) => console.error("[queue notice update error]", err?.data?.error ?? err.message));
+  }
+  if (listTs) {
+    await refreshQueueList({ client, channel, ts: listTs, threadTs });
+  }
+});
+
+// Saving the settings dialog: validate everything, then apply what changed
+bolt.view("thread_settings", async ({ ack, view, body, client }) => {
+  const { threadTs, channel, messageTs } = JSON.parse(view.private_metadata);
+  const values = view.state.values;
+  const thread = getThread(threadTs);
+
+  const access = await getAccess(client, body.user.id);
+  if (!thread) {
+    await ack({ response_action: "errors", errors: { model: "This thread was closed." } });
+    return;
+  }
+  if (!can(access, "run") || !isDirAllowed(access, thread.directory)) {
+    await ack({ response_action: "errors", errors: { model: "You can't change this thread." } });
+    return;
+  }
+
+  const typedDir = values.directory?.value.value?.trim();
+  const settings = {
+    directory: typedDir ? path.resolve(typedDir) : thread.directory,
+    model: values.model.value.value?.trim() || null,
+    agent: values.agent.value.value?.trim() || null,
+    sessionID: values.session.value.value?.trim() || null,
+    verbosity: values.verbosity.value.selected_option?.value ?? "verbose",
+  };
+  const changed = (key) => settings[key] !== (key === "verbosity" ? thread.verbosity || "verbose" : thread[key] ?? null);
+
+  // Only look up what changed. null = the list didn't arrive in time (or at
+  // all), and a value that can't be checked isn't saved
+  const checkModel = changed("model") && settings.model;
+  const checkAgent = changed("agent") && settings.agent;
+  const checkSession = changed("sessionID") && settings.sessionID;
+  const lookup = (wanted, list) => (wanted ? withTimeout(list().catch(() => null), SETTINGS_LIST_WAIT_MS, null) : null);
+  const [models, agents, sessions] = await Promise.all([
+    lookup(checkModel, listModels),
+    lookup(checkAgent, listAgents),
+    lookup(checkSession, () => listSessions(settings.directory, { limit: SESSIONS_LOOKUP_LIMIT })),
+  ]);
+  const unchecked = "Couldn't load the list to check this against — try again in a moment.";
+
+  const errors = {};
+  if (changed("directory")) {
+    if (thread.busy) {
+      errors.directory = "A run is in progress — change the folder once it finishes.";
+    } else if (!fs.existsSync(settings.directory) || !fs.statSync(settings.directory).isDirectory()) {
+      errors.directory = `${settings.directory} is not a folder.`;
+    } else if (!isDirAllowed(access, settings.directory)) {
+      errors.directory = `You don't have access to ${settings.directory}.`;
+    }
+  }
+  if (checkModel) {
+    if (!models?.length) errors.model = unchecked;
+    else if (!models.includes(settings.model)) errors.model = `Unknown model ${settings.model} — !models lists them.`;
+  }
+  if (checkAgent) {
+    if (!agents?.length) errors.agent = unchecked;
+    else if (!agents.some((a) => a.name === settings.agent)) {
+      errors.agent = `Unknown agent ${settings.agent} — available: ${agents.map((a) => a.name).join(", ")}.`;
+    }
+  }
+  if (changed("sessionID")) {
+    if (thread.busy) {
+      errors.session = "A run is in progress — change the session once it finishes.";
+    } else if (checkSession && !sessions) {
+      errors.session = unchecked;
+    } else if (checkSession && !sessions.some((sess) => sess.id === settings.sessionID)) {
+      errors.session = `No session ${settings.sessionID} in this project.`;
+    }
+  }
+  if (Object.keys(errors).length) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
+  await ack();
 
+  const changes = Object.keys(settings).filter(changed);
+  if (changes.length === 0) return;
+
+  const patch = Object.fromEntries(changes.map((key) => [key, settings[key]]));
+  if (changed("sessionID")) patch.forkOf = null;
+  upsertThread(threadTs, patch);
+  scheduleHomeRefresh();
+  console.log("[settings]", JSON.stringify(patch), "thread:", threadTs, "by:", access.userId);
+
+  const labels = { directory: "folder", model: "model", agent: "agent", sessionID: "session", verbosity: "verbosity" };
+  const summary = changes
+    .map((key) => {
+      const value = settings[key] ? `\`${settings[key]}\`` : key === "sessionID" ? "a new one" : "default";
+      return `${labels[key]} → ${value}`;
+    })
+    .join(", ");
   try {
-    await client.chat.update({
+    await client.chat.postMessage({
       channel,
-      ts: body.message.ts,
-      text: `Agent: ${agent}`,
-      blocks: [markdownSection(`:white_check_mark: *Agent set to:* \`${agent}\``)],
+      thread_ts: threadTs,
+      text: `:gear: <@${access.userId}> changed ${summary}. Applies from the next run.`,
     });
+    if (messageTs) {
+      await client.chat.update({ channel, ts: messageTs, text: "Thread settings", blocks: settingsBlocks(threadTs) });
+    }
   } catch (err) {
-    console.error("[agent update error]", err?.data?.error ?? err.message);
+    console.error("[settings notice error]", err?.data?.error ?? err.message);
   }
+});
 
-  // Show folder picker if no directory set yet
-  const thread = getThread(threadTs);
-  if (!thread?.directory) {
-    await showFolderPicker({ threadTs, channel, client, browsePath: null });
+function queueEditView({ threadTs, item, listTs, channel }) {
+  return {
+    type: "modal",
+    callback_id: "queue_edit",
+    private_metadata: JSON.stringify({ threadTs, id: item.id, channel, listTs }),
+    title: { type: "plain_text", text: "Edit queued message" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "input",
+        block_id: "prompt",
+        label: { type: "plain_text", text: "Message" },
+        element: {
+          type: "plain_text_input",
+          action_id: "message",
+          multiline: true,
+          initial_value: item.message,
+        },
+      },
+    ],
+  };
+}
+
+async function refreshQueueList({ client, channel, ts, threadTs }) {
+  try {
+    await client.chat.update({ channel, ts, text: "Queue", blocks: queueListBlocks(threadTs) });
+  } catch (err) {
+    console.error("[queue list update error]", err?.data?.error ?? err.message);
   }
-});
+}
 
-async function folderSelected({ dir, threadTs, channel, client }) {
+async function folderSelected({ dir, threadTs, channel, client, access }) {
   const thread = getThread(threadTs);
   if (!thread) return;
 
   const pendingMessage = thread.pendingMessage;
+  const pendingFiles = thread.pendingFiles ?? [];
   const pendingCommand = thread.pendingCommand;
 
   if (thread.pickerTs) {
@@ -748,8 +3040,9 @@ async function folderSelected({ dir, threadTs, channel, client }) {
   }
 
   upsertThread(threadTs, {
-    directory: dir,
+    ...(thread.worktree ? { directory: dir } : await threadDirectory({ dir, threadTs, channel, client })),
     pendingMessage: null,
+    pendingFiles: [],
     pendingCommand: null,
     pickerTs: null,
     browsePath: null,
@@ -757,119 +3050,527 @@ async function folderSelected({ dir, threadTs, channel, client }) {
 
   // Dispatch pending command or message
   if (pendingCommand) {
-    await handleSlashCommand({ command: pendingCommand, args: null, threadTs, channel, client });
+    await handleSlashCommand({ command: pendingCommand, args: null, threadTs, channel, client, access });
   } else if (pendingMessage) {
-    await handleMessage({ text: pendingMessage, threadTs, channel, client });
+    await handleMessage({ text: pendingMessage, files: pendingFiles, threadTs, channel, client, access });
+  }
+}
+
+/**
+ * Store fields for a thread that will work in `dir`. With isolation on, a
+ * git repository gets the thread's own worktree.
+ */
+async function threadDirectory({ dir, threadTs, channel, client }) {
+  if (!WORKTREES_ENABLED) return { directory: dir };
+
+  let worktree = null;
+  try {
+    worktree = await createWorktree({ dir, threadTs });
+  } catch (err) {
+    console.error("[worktree create error]", err.message);
+    await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `:warning: Couldn't create a worktree (${err.message}) — working in \`${dir}\` directly.`,
+    });
   }
+  if (!worktree) return { directory: dir };
+
+  await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: `:deciduous_tree: Working in an isolated worktree on branch \`${worktree.branch}\` (from \`${worktree.base}\`). Use \`!worktree\` to see, merge or discard it.`,
+  });
+  return { directory: worktreeDir(worktree), worktree };
+}
+
+/**
+ * Opens a new thread in a channel with a fixed directory, model and agent,
+ * and runs a prompt in it (if given). Resolves once the thread is posted;
+ * `run` settles when the prompt (and anything queued behind it) is done.
+ * `forkOf` makes the thread's first run continue a copy of that session.
+ * Headless threads (`worktree: false`) work in the directory itself, since
+ * nobody is around to merge or close a worktree.
+ */
+async function startThread({ client, channel, title, directory, model = null, agent = null, forkOf = null, worktree = true, message, user, onResult }) {
+  const res = await client.chat.postMessage({ channel, text: title, blocks: [markdownSection(title)] });
+  const threadTs = res.ts;
+
+  upsertThread(threadTs, {
+    ...(worktree ? await threadDirectory({ dir: directory, threadTs, channel, client }) : { directory }),
+    channel,
+    model,
+    agent,
+    forkOf,
+  });
+  if (!message) return { threadTs, run: Promise.resolve() };
+
+  const run = runWithQueue({ threadTs, channel, client, message, user, onResult }).catch((err) => {
+    console.error("[thread run error]", threadTs, err?.data?.error ?? err.message);
+  });
+  return { threadTs, run };
 }
 
 // ── Process a single opencode run ───────────────────────────────────────
 
-async function processMessage({ message, threadTs, channel, client, command }) {
+/**
+ * Runs one prompt and streams it into the thread.
+ * Resolves with { status, text?, usage?, error? } — status is "ok", "failed",
+ * "cancelled", "timeout", "error" or "budget"; text is the final response.
+ */
+async function processMessage({ message, files, threadTs, channel, client, command, user }) {
   const thread = getThread(threadTs);
-  const accumulator = createAccumulator();
+  const accumulator = createAccumulator({ verbosity: thread.verbosity || "verbose" });
+  const startedAt = new Date();
+
+  const logUsage = (status, sessionID) => {
+    recordUsage({
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      threadTs,
+      channel,
+      user: user ?? null,
+      directory: thread.directory,
+      model: thread.model || DEFAULT_MODEL,
+      agent: thread.agent || null,
+      sessionID: sessionID ?? thread.sessionID,
+      status,
+      ...accumulator.usage,
+    });
+    cachedThreadCosts = null;
+  };
+
+  // Budgets are checked before the run and again as its cost grows
+  let budget = budgetsEnabled() ? budgetBaseline({ threadTs, user }) : null;
+  if (budget) {
+    const exceeded = checkBudget({ baseline: budget, waiver: thread.budgetWaiver, runCost: 0 });
+    if (exceeded) {
+      console.log("[budget] blocked before run", exceeded, "thread:", threadTs);
+      await holdForBudget({ threadTs, channel, client, exceeded, hold: { message, command: command ?? null, user } });
+      return { status: "budget" };
+    }
+  }
+
+  // Set while the run waits in line for a slot
+  let waitingPosition = null;
+
+  // Live pages: the run's controls go under the last one
+  const livePages = () => {
+    if (waitingPosition !== null) {
+      return [[contextBlock(`:hourglass_flowing_sand: _Waiting — position ${waitingPosition} in queue_`), ...runControlBlocks(threadTs)]];
+    }
+    const pages = accumulator.pages();
+    pages[pages.length - 1].push(...runControlBlocks(threadTs));
+    return pages;
+  };
 
   const initial = await client.chat.postMessage({
     channel,
     thread_ts: threadTs,
     text: "Processing...",
-    blocks: accumulator.blocks(),
+    blocks: livePages()[0],
+  });
+
+  // One Slack message per page of output, in order
+  const pageTs = [initial.ts];
+  let syncing = Promise.resolve();
+
+  // Brings every page up to date through the shared scheduler: pages are
+  // edited in place (unchanged ones cost nothing), new ones are posted as
+  // follow-ups. Syncs run one at a time; a final sync waits for delivery.
+  const syncPages = (render, { final = false } = {}) => {
+    syncing = syncing.then(async () => {
+      const pages = render();
+      const deliveries = [];
+      for (const [i, blocks] of pages.entries()) {
+        const text = i === 0 ? "OpenCode response" : "OpenCode response (continued)";
+        if (i < pageTs.length) {
+          const delivery = slackUpdates.update({ channel, ts: pageTs[i], text, blocks }, { final });
+          // A streaming update that doesn't land is superseded by the next one
+          deliveries.push(final ? delivery : delivery.catch(() => null));
+          continue;
+        }
+        try {
+          const res = await slackUpdates.post({ channel, thread_ts: threadTs, text, blocks });
+          pageTs.push(res.ts);
+        } catch (err) {
+          // Later pages must not be posted ahead of this one
+          console.error("[slack post error]", err?.data?.error ?? err.message);
+          break;
+        }
+      }
+      if (final) {
+        const results = await Promise.allSettled(deliveries);
+        const failed = results.filter((r) => r.status === "rejected").length;
+        if (failed) console.error("[final update error]", failed, "page(s) not delivered");
+        else console.log("[final update] success");
+      }
+    });
+    return syncing;
+  };
+
+  // Wait for a run slot; the message shows its place in line meanwhile
+  const ticket = runSlots.acquire({
+    directory: thread.directory,
+    onPosition: (position) => {
+      waitingPosition = position;
+      syncPages(livePages);
+    },
   });
-  const messageTs = initial.ts;
+  const run = { emitter: null, ticket, pageTs, cancelled: false, budgetExceeded: null };
+  activeRuns.set(threadTs, run);
 
+  if (waitingPosition !== null) {
+    console.log("[run slots] waiting", runSlots.stats(), "thread:", threadTs);
+  }
+  const started = await ticket.ready;
+  if (!started) {
+    activeRuns.delete(threadTs);
+    await syncPages(() => [[contextBlock(":no_entry_sign: _Cancelled before it started_")]], { final: true });
+    slackUpdates.forget(pageTs);
+    return { status: "cancelled" };
+  }
+  if (waitingPosition !== null) {
+    waitingPosition = null;
+    syncPages(livePages);
+    // Other runs may have spent meanwhile
+    if (budget) budget = budgetBaseline({ threadTs, user });
+  }
   let updatePending = false;
   let updateTimer = null;
 
   const scheduleUpdate = () => {
     if (updatePending) return;
     updatePending = true;
-    updateTimer = setTimeout(async () => {
+    updateTimer = setTimeout(() => {
       updatePending = false;
-      try {
-        await client.chat.update({
-          channel,
-          ts: messageTs,
-          text: "OpenCode response",
-          blocks: accumulator.blocks(),
-        });
-      } catch (err) {
-        if (err?.data?.error === "ratelimited") {
-          // Back off
-        } else {
-          console.error("[slack update error]", err?.data?.error ?? err.message);
-        }
-      }
+      syncPages(livePages);
     }, UPDATE_INTERVAL);
   };
 
+  // Pre-run snapshot, so the run's file changes can be undone
+  const snapshot = await takeSnapshot({ dir: thread.directory, threadTs }).catch((err) => {
+    console.error("[undo snapshot error]", err.message);
+    return null;
+  });
+  if (snapshot || thread.undo) {
+    // The thread's previous snapshot is gone (same ref) — so is its undo
+    upsertThread(threadTs, { undo: null });
+  }
+
+  // Stopped while the snapshot was taken — the slot is ours, so cancelling
+  // the ticket did nothing
+  if (run.cancelled) {
+    activeRuns.delete(threadTs);
+    ticket.release();
+    if (snapshot) await dropSnapshot(snapshot);
+    await syncPages(() => [[contextBlock(":no_entry_sign: _Cancelled before it started_")]], { final: true });
+    slackUpdates.forget(pageTs);
+    return { status: "cancelled" };
+  }
+
+  // The session is moving on — the previous response can't be forked any more
+  retireForkButton(threadTs, client);
+
   const emitter = runOpencode({
     message,
-    sessionID: thread.sessionID,
+    sessionID: thread.sessionID || thread.forkOf || undefined,
+    fork: !thread.sessionID && !!thread.forkOf,
     directory: thread.directory,
     model: thread.model || undefined,
     agent: thread.agent || undefined,
     command: command || undefined,
+    files,
+    permissions: approvalPermissions() ?? undefined,
   });
 
   activeProcesses.add(emitter);
+  run.emitter = emitter;
+
+  const transcript = startTranscript(threadTs, {
+    prompt: message,
+    command: command ?? null,
+    user: user ?? null,
+    directory: thread.directory,
+    model: thread.model || DEFAULT_MODEL,
+    agent: thread.agent || null,
+    sessionID: thread.sessionID,
+  });
 
   return new Promise((resolve) => {
+    // A failed spawn emits "error" and then "done"; only the first one counts
+    let settled = false;
+
+    // A throw inside the async error / done handlers would otherwise leave
+    // the run (and the thread's busy flag) hanging forever
+    const settleSafely = (handler) => async (arg) => {
+      try {
+        await handler(arg);
+      } catch (err) {
+        console.error("[run finish error]", "thread:", threadTs, err?.data?.error ?? err.message);
+        resolve({ status: "error", error: err?.data?.error ?? err.message });
+      }
+    };
+
     emitter.on("event", (event) => {
       console.log("[opencode event]", event.type, event.part?.type ?? "");
       accumulator.push(event);
+      transcript.push(event);
       scheduleUpdate();
+
+      if (budget && !run.budgetExceeded && event.type === "step_finish") {
+        const exceeded = checkBudget({ baseline: budget, waiver: thread.budgetWaiver, runCost: accumulator.usage.cost });
+        if (exceeded) {
+          console.log("[budget] exceeded mid-run", exceeded, "thread:", threadTs);
+          run.budgetExceeded = exceeded;
+          emitter.abort();
+        }
+      }
+    });
+
+    emitter.on("permission", (request) => {
+      handlePermissionRequest({
+        request,
+        emitter,
+        accumulator,
+        threadTs,
+        channel,
+        client,
+        directory: thread.directory,
+        onDecision: scheduleUpdate,
+      }).catch((err) => console.error("[approval error]", err?.data?.error ?? err.message));
     });
 
     emitter.on("stderr", (txt) => {
       console.error("[opencode stderr]", txt);
     });
 
-    emitter.on("error", async (err) => {
+    emitter.on("error", settleSafely(async (err) => {
       console.error("[opencode error]", err);
+      if (settled) return;
+      settled = true;
       activeProcesses.delete(emitter);
+      activeRuns.delete(threadTs);
+      ticket.release();
+      logUsage("error");
+      transcript.finish({ status: "error", sessionID: thread.sessionID, usage: accumulator.usage, error: err.message });
+      // No undo is offered for a failed run, so its snapshot refs can go
+      if (snapshot) await dropSnapshot(snapshot);
+      await expireApprovals(emitter);
       if (updateTimer) clearTimeout(updateTimer);
-      try {
-        await client.chat.update({
-          channel,
-          ts: messageTs,
-          text: `Error: ${err.message}`,
-          blocks: [markdownSection(`:x: *OpenCode error:*\n\`\`\`${err.message}\`\`\``)],
-        });
-      } catch {
-        // ignore
-      }
-      resolve();
-    });
-
-    emitter.on("done", async ({ sessionID, exitCode }) => {
-      console.log("[opencode done]", { sessionID, exitCode, finished: accumulator.isFinished });
+      // Partial output stays; the error goes under it
+      await syncPages(() => {
+        const pages = accumulator.pages();
+        const last = pages[pages.length - 1];
+        // Drop the "Thinking..." status the unfinished output ends with
+        if (!accumulator.isFinished) last.pop();
+        last.push(markdownSection(`:x: *OpenCode error:*\n\`\`\`${err.message}\`\`\``));
+        return pages;
+      }, { final: true });
+      slackUpdates.forget(pageTs);
+      resolve({ status: "error", error: err.message });
+    }));
+
+    emitter.on("done", settleSafely(async ({ sessionID, exitCode, timedOut }) => {
+      console.log("[opencode done]", { sessionID, exitCode, timedOut, finished: accumulator.isFinished });
+      if (settled) return;
+      settled = true;
       activeProcesses.delete(emitter);
+      activeRuns.delete(threadTs);
+      ticket.release();
+      await expireApprovals(emitter);
       if (updateTimer) clearTimeout(updateTimer);
 
       if (sessionID) {
-        upsertThread(threadTs, { sessionID });
+        upsertThread(threadTs, { sessionID, forkOf: null });
       }
+      const status = run.budgetExceeded
+        ? "budget"
+        : timedOut
+          ? "timeout"
+          : run.cancelled
+            ? "cancelled"
+            : exitCode === 0
+              ? "ok"
+              : "failed";
+      logUsage(status, sessionID);
+      transcript.finish({ status, sessionID: sessionID ?? null, usage: accumulator.usage });
+
+      const changes = await workingChanges(thread.directory).catch((err) => {
+        console.error("[changes error]", err.message);
+        return null;
+      });
 
-      try {
-        const blocks = accumulator.blocks();
-        console.log("[final update]", blocks.length, "blocks");
-        if (exitCode !== 0 && blocks.length <= 1) {
-          blocks.unshift(markdownSection(`:warning: OpenCode exited with code ${exitCode}`));
+      // Offer an undo only if the run actually changed something
+      let undoable = false;
+      if (snapshot) {
+        const finished = await finishSnapshot(snapshot).catch((err) => {
+          console.error("[undo snapshot error]", err.message);
+          return null;
+        });
+        undoable = finished?.changes.length > 0;
+        if (undoable) upsertThread(threadTs, { undo: finished.snapshot });
+        else await dropSnapshot(finished?.snapshot ?? snapshot);
+      }
+
+      let finalLast = null;
+      await syncPages(() => {
+        const pages = accumulator.pages();
+        const last = pages[pages.length - 1];
+        finalLast = last;
+        console.log("[final update]", pages.length, "page(s)");
+        if (changes?.files.length) {
+          last.push(changesBlock(changes));
+        }
+        if (undoable) {
+          last.push(undoControlBlock(threadTs, snapshot));
+        }
+        if (status === "ok" && sessionID) {
+          last.push(forkControlBlock(threadTs));
+        }
+        if (run.budgetExceeded) {
+          last.push(contextBlock(`:money_with_wings: _Stopped — ${describeExceeded(run.budgetExceeded)}_`));
+        } else if (timedOut) {
+          last.push(contextBlock(`:hourglass: _${describeTimeout(timedOut)} — partial output kept above_`));
+        } else if (run.cancelled) {
+          last.push(contextBlock(":no_entry_sign: _Cancelled — partial output kept above_"));
+        } else if (exitCode !== 0 && pages.length === 1 && last.length <= 1) {
+          last.unshift(markdownSection(`:warning: OpenCode exited with code ${exitCode}`));
         }
-        await client.chat.update({
+        return pages;
+      }, { final: true });
+      slackUpdates.forget(pageTs);
+      upsertThread(threadTs, { lastResponseTs: pageTs[pageTs.length - 1] });
+      if (finalLast?.some((b) => b.block_id === "run_fork")) {
+        const text = pageTs.length === 1 ? "OpenCode response" : "OpenCode response (continued)";
+        forkButtonPages.set(threadTs, { channel, ts: pageTs[pageTs.length - 1], text, blocks: finalLast });
+      }
+
+      if (run.budgetExceeded) {
+        await holdForBudget({
+          threadTs,
           channel,
-          ts: messageTs,
-          text: "OpenCode response",
-          blocks,
+          client,
+          exceeded: run.budgetExceeded,
+          hold: { message: BUDGET_CONTINUE_PROMPT, command: null, user },
         });
-        console.log("[final update] success");
-      } catch (err) {
-        console.error("[final update error]", err?.data?.error ?? err.message);
       }
 
-      resolve();
-    });
+      resolve({ status, text: accumulator.finalText, usage: accumulator.usage });
+    }));
+  });
+}
+
+// ── Permission approvals ────────────────────────────────────────────────
+
+/**
+ * Answers a permission request from a run: automatically if no approval
+ * rule matches, otherwise by posting Approve / Deny buttons in the thread.
+ */
+async function handlePermissionRequest({ request, emitter, accumulator, threadTs, channel, client, directory, onDecision }) {
+  const rule = matchApproval(request, directory);
+  if (!rule) {
+    await emitter.respondPermission(request, "once");
+    return;
+  }
+
+  const summary = describeRequest(request);
+  console.log("[approval requested]", summary, "rule:", rule.label, "thread:", threadTs);
+
+  const value = JSON.stringify({ requestID: request.id, threadTs });
+  const posted = await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: `Approval needed: ${summary}`,
+    blocks: [
+      markdownSection(`:raised_hand: *Approval needed* — matches \`${rule.label}\`\n\`\`\`\n${truncLabel(summary, 2800)}\n\`\`\``),
+      {
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: { type: "plain_text", text: ":white_check_mark: Approve", emoji: true },
+            style: "primary",
+            value,
+            action_id: "approval_approve",
+          },
+          {
+            type: "button",
+            text: { type: "plain_text", text: ":no_entry: Deny", emoji: true },
+            style: "danger",
+            value,
+            action_id: "approval_deny",
+          },
+        ],
+      },
+    ],
   });
+
+  const pending = {
+    request,
+    emitter,
+    accumulator,
+    summary,
+    rule: rule.label,
+    client,
+    channel,
+    ts: posted.ts,
+    onDecision,
+    timer: null,
+  };
+  pending.timer = setTimeout(() => {
+    resolveApproval(request.id, { reply: "reject", reason: "no answer in time" });
+  }, APPROVAL_TIMEOUT_MS);
+  pendingApprovals.set(request.id, pending);
+}
+
+/**
+ * Applies a decision to a pending approval: replies to OpenCode (unless the
+ * run is already gone) and records the outcome on the approval message and
+ * the streaming response.
+ */
+async function resolveApproval(requestID, { reply, userId = null, reason = null, respond = true }) {
+  const pending = pendingApprovals.get(requestID);
+  if (!pending) return;
+  pendingApprovals.delete(requestID);
+  clearTimeout(pending.timer);
+
+  const who = userId ? ` by <@${userId}>` : reason ? ` (${reason})` : "";
+  const verdict = reply === "reject" ? `:no_entry: Denied${who}` : `:white_check_mark: Approved${who}`;
+
+  if (respond) {
+    try {
+      await pending.emitter.respondPermission(pending.request, reply);
+    } catch (err) {
+      console.error("[approval reply error]", err.message);
+    }
+    pending.accumulator.note(`${verdict}: \`${truncLabel(pending.summary, 80)}\``);
+    pending.onDecision();
+  }
+
+  try {
+    await pending.client.chat.update({
+      channel: pending.channel,
+      ts: pending.ts,
+      text: `${reply === "reject" ? "Denied" : "Approved"}: ${pending.summary}`,
+      blocks: [
+        markdownSection(`:raised_hand: *Approval* — matches \`${pending.rule}\`\n\`\`\`\n${truncLabel(pending.summary, 2800)}\n\`\`\``),
+        contextBlock(verdict),
+      ],
+    });
+  } catch (err) {
+    console.error("[approval update error]", err?.data?.error ?? err.message);
+  }
+}
+
+/**
+ * Closes out approvals still waiting when their run ends.
+ */
+async function expireApprovals(emitter) {
+  for (const [requestID, pending] of pendingApprovals) {
+    if (pending.emitter !== emitter) continue;
+    await resolveApproval(requestID, { reply: "reject", reason: "run ended", respond: false });
+  }
 }
 
 // ── Directive parsing ───────────────────────────────────────────────────
@@ -879,8 +3580,8 @@ function parseDirectives(text) {
   let message = text;
   let slashCommand = null;
 
-  // Check for commands: !init, !model, !agents
-  const cmdMatch = message.match(/^!(init|models|agents)(?:\s+(.*))?$/);
+  // Check for a !command (the full set is in the pattern below)
+  const cmdMatch = message.match(/^!(init|models|agents|stop|queue|diff|commit|undo|worktree|close|sessions|session|fork|export|verbosity|settings|schedule|access|usage|continue)(?:\s+(.*))?$/);
   if (cmdMatch) {
     slashCommand = {
       command: cmdMatch[1],
@@ -910,6 +3611,140 @@ function markdownSection(text) {
   };
 }
 
+function contextBlock(text) {
+  return {
+    type: "context",
+    elements: [{ type: "mrkdwn", text }],
+  };
+}
+
+/**
+ * Stop buttons shown under a streaming response.
+ */
+function runControlBlocks(threadTs) {
+  const elements = [
+    {
+      type: "button",
+      text: { type: "plain_text", text: ":octagonal_sign: Stop", emoji: true },
+      style: "danger",
+      value: JSON.stringify({ action: "stop", threadTs }),
+      action_id: "run_stop",
+    },
+  ];
+
+  if (getThread(threadTs)?.queue?.length) {
+    elements.push({
+      type: "button",
+      text: { type: "plain_text", text: "Stop & clear queue", emoji: true },
+      value: JSON.stringify({ action: "stop", threadTs, clearQueue: true }),
+      action_id: "run_stop_clear",
+    });
+  }
+
+  return [{ type: "actions", elements }];
+}
+
+/**
+ * One-line summary of uncommitted changes for the end of a response.
+ */
+function changesBlock(changes) {
+  const lines = (f) => (f.added === null ? "binary" : `+${f.added} −${f.removed}`);
+  const listed = changes.files
+    .slice(0, CHANGES_MAX_LISTED)
+    .map((f) => `\`${f.path}\` ${f.untracked ? "(new) " : ""}${lines(f)}`);
+  const more = changes.files.length > CHANGES_MAX_LISTED ? `, …${changes.files.length - CHANGES_MAX_LISTED} more` : "";
+  return contextBlock(
+    `:pencil2: *${changes.files.length} file(s) changed* (uncommitted), +${changes.added} −${changes.removed}: ` +
+      `${listed.join(", ")}${more} — \`!diff\` for the full diff`
+  );
+}
+
+/**
+ * Undo button under a finished response whose run changed files.
+ */
+function undoControlBlock(threadTs, snapshot) {
+  return {
+    type: "actions",
+    block_id: "run_undo",
+    elements: [
+      {
+        type: "button",
+        text: { type: "plain_text", text: ":leftwards_arrow_with_hook: Undo changes", emoji: true },
+        value: JSON.stringify({ action: "undo", threadTs, tree: snapshot.tree }),
+        action_id: "run_undo",
+        confirm: {
+          title: { type: "plain_text", text: "Undo this run's changes?" },
+          text: { type: "plain_text", text: "Files this run modified or deleted are restored, and files it created are removed." },
+          confirm: { type: "plain_text", text: "Undo" },
+          deny: { type: "plain_text", text: "Keep" },
+        },
+      },
+    ],
+  };
+}
+
+// Quotes a path for a copy-pasted shell command (only when it needs it)
+function shellQuote(str) {
+  return /^[\w@%+=:,./-]+$/.test(str) ? str : `'${str.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * A timestamp Slack shows in the reader's own timezone.
+ */
+function slackDate(iso) {
+  return `<!date^${Math.floor(new Date(iso) / 1000)}^{date_short_pretty} {time}|${iso}>`;
+}
+
+// Drops the Fork button from a thread's previous response (buttons from before
+// a restart stay, and the run_fork handler turns them away)
+async function retireForkButton(threadTs, client) {
+  const page = forkButtonPages.get(threadTs);
+  if (!page) return;
+  forkButtonPages.delete(threadTs);
+  try {
+    await client.chat.update({
+      channel: page.channel,
+      ts: page.ts,
+      text: page.text,
+      blocks: page.blocks.filter((b) => b.block_id !== "run_fork"),
+    });
+  } catch (err) {
+    console.error("[fork button update error]", err?.data?.error ?? err.message);
+  }
+}
+
+function forkControlBlock(threadTs) {
+  return {
+    type: "actions",
+    block_id: "run_fork",
+    elements: [
+      {
+        type: "button",
+        text: { type: "plain_text", text: ":fork_and_knife: Fork from here", emoji: true },
+        value: JSON.stringify({ threadTs }),
+        action_id: "run_fork",
+      },
+    ],
+  };
+}
+
+function describeTimeout({ reason, ms }) {
+  const minutes = Math.round(ms / 60000);
+  const span = minutes >= 1 ? `${minutes} min` : `${Math.round(ms / 1000)}s`;
+  return reason === "idle" ? `Timed out — no output for ${span}` : `Timed out after ${span}`;
+}
+
+/**
+ * Resolves with the promise's value, or `fallback` if it takes longer than `ms`.
+ */
+function withTimeout(promise, ms, fallback) {
+  let timer;
+  return Promise.race([
+    promise.finally(() => clearTimeout(timer)),
+    new Promise((resolve) => (timer = setTimeout(() => resolve(fallback), ms))),
+  ]);
+}
+
 function chunkArray(arr, size) {
   const chunks = [];
   for (let i = 0; i < arr.length; i += size) {
@@ -937,10 +3772,15 @@ function requiredEnv(name) {
 (async () => {
   await bolt.start();
   console.log("⚡ OpenCode Slack bot is running (Socket Mode)");
-  console.log(`   Allowed user: ${ALLOWED_USER_ID}`);
+  console.log(`   Access:       ${process.env.OPENCODE_ACCESS_FILE || `ALLOWED_USER_ID only (${process.env.ALLOWED_USER_ID})`}`);
   console.log(`   Default dir:  ${DEFAULT_DIR}`);
   console.log(`   Browse root:  ${BROWSE_ROOT}`);
   console.log(`   Bookmarks:    ${PROJECTS.length ? PROJECTS.join(", ") : "(none)"}`);
+  console.log(`   Schedules:    ${listSchedules().length}`);
+  console.log(`   Max runs:     ${MAX_RUNS || "unlimited"}${MAX_RUNS_PER_DIR ? ` (${MAX_RUNS_PER_DIR} per directory)` : ""}`);
+
+  startScheduler({ onDue: runSchedule });
+  startHttpApi({ startRun: startRunFromApi });
 
   // Pre-warm caches
   listModels()
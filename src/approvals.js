@@ -0,0 +1,121 @@
+/**
+ * Rules deciding which OpenCode tool calls need a human approval in Slack.
+ *
+ * Configured with OPENCODE_APPROVALS, a ";"-separated list of tool:spec rules:
+ *
+ *   bash:\b(rm|git push|npm publish)\b   bash commands matching the regex
+ *   write:outside                        writes/edits outside the project dir
+ *   edit:*                               every edit
+ *
+ * "write" and "edit" both map to OpenCode's "edit" permission. Specs other
+ * than "outside" and "*" are case-insensitive regexes, matched against the
+ * bash command or the target file path.
+ *
+ * Tools that have at least one rule are switched to "ask" for the run (what
+ * the user's own OpenCode config denies or allows per pattern still holds);
+ * any request that doesn't match a rule is approved automatically.
+ */
+
+import path from "node:path";
+
+// Slack tool names → OpenCode permission types
+const PERMISSION_FOR_TOOL = {
+  write: "edit",
+  edit: "edit",
+  patch: "edit",
+};
+
+const RULES = parseRules(process.env.OPENCODE_APPROVALS || "");
+
+const RAW_TIMEOUT_MS = Number(process.env.OPENCODE_APPROVAL_TIMEOUT_MS || "600000");
+export const APPROVAL_TIMEOUT_MS = Number.isFinite(RAW_TIMEOUT_MS) && RAW_TIMEOUT_MS > 0 ? RAW_TIMEOUT_MS : 600000;
+
+function parseRules(raw) {
+  const rules = [];
+  for (const entry of raw.split(";")) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const sep = trimmed.indexOf(":");
+    if (sep <= 0) {
+      console.error(`OPENCODE_APPROVALS: ignoring rule without "tool:" prefix: ${trimmed}`);
+      continue;
+    }
+    const tool = trimmed.slice(0, sep).trim();
+    const spec = trimmed.slice(sep + 1).trim();
+    const permission = PERMISSION_FOR_TOOL[tool] ?? tool;
+
+    if (spec === "*" || spec === "outside") {
+      rules.push({ tool, permission, kind: spec === "*" ? "any" : "outside", label: trimmed });
+      continue;
+    }
+    try {
+      rules.push({ tool, permission, kind: "regex", regex: new RegExp(spec, "i"), label: trimmed });
+    } catch (err) {
+      console.error(`OPENCODE_APPROVALS: bad regex in "${trimmed}": ${err.message}`);
+    }
+  }
+  return rules;
+}
+
+/**
+ * OpenCode permission config that makes every ruled tool ask first,
+ * or null when no approval rules are configured.
+ *
+ * @returns {Object<string, string>|null}
+ */
+export function approvalPermissions() {
+  if (RULES.length === 0) return null;
+  const permissions = {};
+  for (const rule of RULES) permissions[rule.permission] = "ask";
+  return permissions;
+}
+
+/**
+ * Finds the rule (if any) that requires a human to approve this request.
+ *
+ * @param {import("./opencode.js").PermissionRequest} request
+ * @param {string} directory - the run's project directory
+ * @returns {{label: string}|null}
+ */
+export function matchApproval(request, directory) {
+  for (const rule of RULES) {
+    if (rule.permission !== request.tool) continue;
+
+    if (rule.kind === "any") return rule;
+
+    const targets = requestTargets(request);
+    if (rule.kind === "outside") {
+      const root = path.resolve(directory);
+      const outside = targets.some((t) => {
+        const abs = path.resolve(root, t);
+        return abs !== root && !abs.startsWith(root + path.sep);
+      });
+      if (outside) return rule;
+      continue;
+    }
+
+    if (targets.some((t) => rule.regex.test(t))) return rule;
+  }
+  return null;
+}
+
+function requestTargets(request) {
+  if (request.tool === "bash") {
+    return [request.command ?? request.patterns.join(" ")].filter(Boolean);
+  }
+  const targets = request.filePath ? [request.filePath] : [...request.patterns];
+  return targets.filter(Boolean);
+}
+
+/**
+ * One-line description of what is being asked, for the approval message.
+ *
+ * @param {import("./opencode.js").PermissionRequest} request
+ * @returns {string}
+ */
+export function describeRequest(request) {
+  if (request.tool === "bash" && request.command) return `$ ${request.command}`;
+  if (request.filePath) return `${request.tool} → ${request.filePath}`;
+  return request.title || `${request.tool} ${request.patterns.join(" ")}`.trim();
+}
@@ -0,0 +1,128 @@
+/**
+ * Spending budgets, checked against the usage ledger plus the live cost of
+ * the current run.
+ *
+ * Configured in USD (unset = no limit):
+ *  - OPENCODE_BUDGET_RUN_USD:    one run
+ *  - OPENCODE_BUDGET_THREAD_USD: everything spent in one thread
+ *  - OPENCODE_BUDGET_DAY_USD:    everything spent today, either across all
+ *                                users or per user (OPENCODE_BUDGET_DAY_SCOPE=user)
+ *
+ * Going past a limit needs an explicit go-ahead, recorded on the thread as a
+ * waiver: the thread and day budgets then count from what had been spent
+ * when the waiver was granted, so each go-ahead buys one more budget's worth.
+ */
+
+import { readUsage, dayKey } from "./ledger.js";
+
+const LIMITS = {
+  run: usd("OPENCODE_BUDGET_RUN_USD"),
+  thread: usd("OPENCODE_BUDGET_THREAD_USD"),
+  day: usd("OPENCODE_BUDGET_DAY_USD"),
+};
+
+const DAY_PER_USER = process.env.OPENCODE_BUDGET_DAY_SCOPE === "user";
+
+function usd(name) {
+  const raw = process.env[name];
+  if (!raw) return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    console.error(`${name}: ignoring invalid amount "${raw}"`);
+    return null;
+  }
+  return value;
+}
+
+/**
+ * @typedef {Object} BudgetBaseline
+ * @property {number} thread - spent in the thread before this run
+ * @property {number} day    - spent today (globally or by the user) before this run
+ * @property {string} dayKey - the day `day` refers to
+ *
+ * @typedef {Object} BudgetWaiver
+ * @property {number} thread - thread spend when the go-ahead was given
+ * @property {{key: string, spent: number}} day - day spend when it was given
+ *
+ * @typedef {Object} BudgetExceeded
+ * @property {"run"|"thread"|"day"} scope
+ * @property {number} limit
+ * @property {number} spent - spend counted against the limit
+ */
+
+export function budgetsEnabled() {
+  return LIMITS.run !== null || LIMITS.thread !== null || LIMITS.day !== null;
+}
+
+/**
+ * Reads what the thread and the day have already spent.
+ *
+ * @param {{threadTs: string, user?: string}} opts
+ * @returns {BudgetBaseline}
+ */
+export function budgetBaseline({ threadTs, user }) {
+  const today = dayKey(new Date());
+  const baseline = { thread: 0, day: 0, dayKey: today };
+
+  for (const e of readUsage()) {
+    const cost = e.cost ?? 0;
+    if (e.threadTs === threadTs) baseline.thread += cost;
+    if (dayKey(e.startedAt) === today && (!DAY_PER_USER || e.user === user)) baseline.day += cost;
+  }
+  return baseline;
+}
+
+/**
+ * Checks the budgets given the current run's cost so far.
+ *
+ * @param {Object} opts
+ * @param {BudgetBaseline}    opts.baseline
+ * @param {BudgetWaiver|null} opts.waiver
+ * @param {number}            opts.runCost
+ * @returns {BudgetExceeded|null}
+ */
+export function checkBudget({ baseline, waiver, runCost }) {
+  // A run that hasn't spent anything yet can't be over its own budget
+  if (LIMITS.run !== null && runCost > 0 && runCost >= LIMITS.run) {
+    return { scope: "run", limit: LIMITS.run, spent: runCost };
+  }
+
+  if (LIMITS.thread !== null) {
+    const spent = baseline.thread + runCost - (waiver?.thread ?? 0);
+    if (spent >= LIMITS.thread) return { scope: "thread", limit: LIMITS.thread, spent };
+  }
+
+  if (LIMITS.day !== null) {
+    const waived = waiver?.day?.key === baseline.dayKey ? waiver.day.spent : 0;
+    const spent = baseline.day + runCost - waived;
+    if (spent >= LIMITS.day) return { scope: "day", limit: LIMITS.day, spent };
+  }
+
+  return null;
+}
+
+/**
+ * Waiver that lets a thread spend one more budget's worth from now on.
+ *
+ * @param {{threadTs: string, user?: string}} opts
+ * @returns {BudgetWaiver}
+ */
+export function grantWaiver({ threadTs, user }) {
+  const baseline = budgetBaseline({ threadTs, user });
+  return { thread: baseline.thread, day: { key: baseline.dayKey, spent: baseline.day } };
+}
+
+/**
+ * Human description of an exceeded budget.
+ *
+ * @param {BudgetExceeded} exceeded
+ * @returns {string}
+ */
+export function describeExceeded({ scope, limit, spent }) {
+  const label = {
+    run: "per-run",
+    thread: "thread",
+    day: DAY_PER_USER ? "your daily" : "daily",
+  }[scope];
+  return `${label} budget of $${limit.toFixed(2)} reached ($${spent.toFixed(2)} spent)`;
+}
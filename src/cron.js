@@ -0,0 +1,158 @@
+/**
+ * Minimal cron expressions for scheduled prompts, in the server's local time.
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12 or jan-dec)
+ *   │ │ │ │ ┌ day of week (0-7 or sun-sat; 0 and 7 are Sunday)
+ *   0 9 * * 1-5
+ *
+ * Fields take *, numbers, ranges (1-5), steps (*\/15, 0-30/10) and lists
+ * (1,15). @hourly, @daily, @weekly, @monthly and @yearly are shorthands.
+ * As in classic cron, when both day fields are restricted a day matching
+ * either one is enough.
+ */
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTHS, nameBase: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAYS, nameBase: 0 },
+];
+
+// Give up looking for a next run after this many years (e.g. "0 0 31 2 *")
+const SEARCH_YEARS = 5;
+
+/**
+ * @typedef {Object} Cron
+ * @property {string}      source
+ * @property {Set<number>} minute
+ * @property {Set<number>} hour
+ * @property {Set<number>} dom
+ * @property {Set<number>} month
+ * @property {Set<number>} dow   - 0-6, Sunday = 0
+ * @property {boolean}     domAny
+ * @property {boolean}     dowAny
+ */
+
+/**
+ * Parses a cron expression. Throws an Error describing what's wrong.
+ *
+ * @param {string} expr
+ * @returns {Cron}
+ */
+export function parseCron(expr) {
+  const source = expr.trim().replace(/\s+/g, " ");
+  const fields = (ALIASES[source.toLowerCase()] ?? source).split(" ");
+  if (fields.length !== 5) {
+    throw new Error(`expected 5 fields (minute hour day month weekday), got ${fields.length}`);
+  }
+
+  const [minute, hour, dom, month, dow] = fields.map((f, i) => parseField(f, FIELDS[i]));
+  if (dow.has(7)) {
+    dow.delete(7);
+    dow.add(0);
+  }
+  return { source, minute, hour, dom, month, dow, domAny: fields[2] === "*", dowAny: fields[4] === "*" };
+}
+
+/**
+ * The first time strictly after `after` that matches, or null if there is
+ * none in the next few years.
+ *
+ * @param {Cron} cron
+ * @param {Date} after
+ * @returns {Date|null}
+ */
+export function nextRun(cron, after) {
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+
+  const limit = new Date(t);
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  while (t < limit) {
+    if (!cron.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return t;
+  }
+  return null;
+}
+
+function dayMatches(cron, t) {
+  const dom = cron.dom.has(t.getDate());
+  const dow = cron.dow.has(t.getDay());
+  if (cron.domAny) return dow;
+  if (cron.dowAny) return dom;
+  return dom || dow;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`bad step "${stepText}" in ${field.name}`);
+    }
+
+    let lo;
+    let hi;
+    if (range === "*") {
+      lo = field.min;
+      hi = field.name === "day of week" ? 6 : field.max;
+    } else {
+      const [a, b] = range.split("-");
+      lo = parseValue(a, field);
+      hi = b === undefined ? (stepText === undefined ? lo : field.max) : parseValue(b, field);
+    }
+    if (lo > hi) {
+      throw new Error(`bad range "${range}" in ${field.name}`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseValue(text, field) {
+  const named = field.names?.indexOf(text?.toLowerCase());
+  if (named !== undefined && named !== -1) return named + field.nameBase;
+
+  const value = Number(text);
+  if (!/^\d+$/.test(text ?? "") || value < field.min || value > field.max) {
+    throw new Error(`"${text}" is not a valid ${field.name} (${field.min}-${field.max})`);
+  }
+  return value;
+}
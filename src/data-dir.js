@@ -0,0 +1,23 @@
+/**
+ * Location of the bot's on-disk state (thread journal, ledgers, etc).
+ *
+ * Defaults to ./data relative to the working directory; override with
+ * OPENCODE_DATA_DIR. The directory is created lazily on first use.
+ */
+
+import path from "node:path";
+import fs from "node:fs";
+
+export const DATA_DIR = path.resolve(process.env.OPENCODE_DATA_DIR || "data");
+
+/**
+ * Resolves a path inside the data directory, creating parent folders.
+ *
+ * @param {...string} parts
+ * @returns {string}
+ */
+export function dataPath(...parts) {
+  const full = path.join(DATA_DIR, ...parts);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  return full;
+}
@@ -0,0 +1,135 @@
+/**
+ * Downloads files attached to Slack messages so they can be passed to
+ * `opencode run -f`, and cleans them up once the run is over.
+ *
+ * Files land in a per-thread temp area:
+ *   $TMPDIR/opencode-slack/<threadTs>/<batch>/<name>
+ */
+
+import os from "node:os";
+import path from "node:path";
+import fs from "node:fs";
+import { randomUUID } from "node:crypto";
+
+const TMP_ROOT = path.join(os.tmpdir(), "opencode-slack");
+const RAW_MAX_FILE_MB = Number(process.env.OPENCODE_MAX_FILE_MB || "20");
+const MAX_FILE_BYTES = (Number.isFinite(RAW_MAX_FILE_MB) && RAW_MAX_FILE_MB > 0 ? RAW_MAX_FILE_MB : 20) * 1024 * 1024;
+
+/**
+ * Picks the fields we need from a Slack file object, so it can be held on
+ * the thread (e.g. while waiting for a folder pick) without the noise.
+ *
+ * @param {object} file - Slack file object from a message event
+ */
+export function slimFile(file) {
+  return {
+    id: file.id,
+    name: file.name || file.title || file.id,
+    mimetype: file.mimetype ?? null,
+    size: file.size ?? 0,
+    url: file.url_private_download || file.url_private || null,
+  };
+}
+
+/**
+ * Downloads Slack files into the thread's temp area.
+ *
+ * @param {Object} opts
+ * @param {object[]} opts.files    - slimFile() results
+ * @param {string}   opts.threadTs
+ * @param {object}   opts.client   - Slack WebClient (used when a file needs files.info)
+ * @param {string}   opts.token    - bot token for authenticated downloads
+ * @returns {Promise<{paths: string[], skipped: Array<{name: string, reason: string}>}>}
+ */
+export async function downloadSlackFiles({ files, threadTs, client, token }) {
+  const paths = [];
+  const skipped = [];
+  if (!files?.length) return { paths, skipped };
+
+  const batchDir = path.join(TMP_ROOT, safeName(threadTs), randomUUID().slice(0, 8));
+  fs.mkdirSync(batchDir, { recursive: true });
+
+  for (const file of files) {
+    if (file.size > MAX_FILE_BYTES) {
+      skipped.push({ name: file.name, reason: `larger than ${MAX_FILE_BYTES / 1024 / 1024} MB` });
+      continue;
+    }
+
+    try {
+      let url = file.url;
+      if (!url) {
+        // Some events only carry the ID ("file_access": "check_file_info")
+        const info = await client.files.info({ file: file.id });
+        url = info.file?.url_private_download || info.file?.url_private;
+      }
+      if (!url) throw new Error("no download URL");
+
+      const res = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      // Slack serves its login page instead of the file when files:read is missing
+      const contentType = res.headers.get("content-type") || "";
+      if (contentType.startsWith("text/html") && !file.mimetype?.startsWith("text/html")) {
+        throw new Error("got an HTML page instead of the file (is the files:read scope granted?)");
+      }
+
+      const dest = uniquePath(batchDir, safeName(file.name));
+      fs.writeFileSync(dest, Buffer.from(await res.arrayBuffer()));
+      paths.push(dest);
+      console.log("[file downloaded]", file.name, "→", dest);
+    } catch (err) {
+      console.error("[file download error]", file.name, err?.data?.error ?? err.message);
+      skipped.push({ name: file.name, reason: err?.data?.error ?? err.message });
+    }
+  }
+
+  if (paths.length === 0) removeDir(batchDir);
+  return { paths, skipped };
+}
+
+/**
+ * Deletes downloaded files and their (now empty) batch folders.
+ *
+ * @param {string[]} paths
+ */
+export function cleanupFiles(paths) {
+  if (!paths?.length) return;
+  const dirs = new Set();
+  for (const p of paths) {
+    try {
+      fs.rmSync(p, { force: true });
+    } catch (err) {
+      console.error("[file cleanup error]", p, err.message);
+    }
+    dirs.add(path.dirname(p));
+  }
+  for (const dir of dirs) {
+    removeDir(dir);
+    // Drop the thread folder too once its last batch is gone
+    removeDir(path.dirname(dir));
+  }
+}
+
+function removeDir(dir) {
+  if (!dir.startsWith(TMP_ROOT + path.sep)) return;
+  try {
+    fs.rmdirSync(dir);
+  } catch {
+    // not empty or already gone
+  }
+}
+
+function safeName(name) {
+  const base = path.basename(String(name)).replace(/[^\w.\-]+/g, "_");
+  return base && base !== "." && base !== ".." ? base : "file";
+}
+
+function uniquePath(dir, name) {
+  let candidate = path.join(dir, name);
+  const ext = path.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  for (let i = 1; fs.existsSync(candidate); i++) {
+    candidate = path.join(dir, `${stem}-${i}${ext}`);
+  }
+  return candidate;
+}
@@ -2,26 +2,46 @@
  * Converts OpenCode JSON streaming events into Slack Block Kit blocks.
  *
  * This module maintains a mutable "accumulator" for a single opencode run.
- * As events arrive, call accumulator.push(event) — then read accumulator.blocks()
- * to get the current Slack blocks for a chat.update call.
+ * As events arrive, call accumulator.push(event) — then read accumulator.pages()
+ * to get the current Slack blocks, one array per message.
  *
  * Slack limits: 50 blocks per message, 3000 chars per text block.
- * Long text is split across multiple blocks instead of being truncated.
+ * Long text is split across multiple blocks instead of being truncated, and
+ * output that outgrows one message continues in follow-up messages (pages).
+ * Output only ever grows at the end, so once a page fills up it stays frozen.
+ * The one exception is the todo checklist (from the todowrite tool), pinned
+ * to the top of the first page and updated in place; that page always keeps
+ * a slot for it, so adding it doesn't move any page boundary.
+ *
+ * Verbosity decides how much of the run is shown:
+ *  - verbose: thinking, and every tool call with its full input and output
+ *  - normal:  thinking, and tool calls with input and output cut to their first lines
+ *  - quiet:   response text only, plus a one-line summary of tool activity
  */
 
 const MAX_TEXT_LEN = 2900; // leave margin under 3000
-const MAX_BLOCKS = 49; // leave room for overflow notice
+const PAGE_BLOCKS = 46; // leave room for the continuation notice and run controls
+
+export const VERBOSITY_LEVELS = ["quiet", "normal", "verbose"];
+
+// Lines of tool input / output kept in normal mode
+const NORMAL_TOOL_LINES = 5;
 
 /**
  * Creates a new message accumulator for one opencode invocation.
+ * @param {{verbosity?: "quiet"|"normal"|"verbose"}} [opts]
  */
-export function createAccumulator() {
+export function createAccumulator({ verbosity = "verbose" } = {}) {
   /** @type {Array<{type: string, data: any}>} */
   const parts = [];
   let currentText = "";
   let finished = false;
   let tokenInfo = null;
   let stepCount = 0;
+  let todos = null; // latest todowrite list
+
+  // Running totals across every step of the run
+  const usage = { input: 0, output: 0, reasoning: 0, cacheRead: 0, cacheWrite: 0, cost: 0 };
 
   return {
     /**
@@ -53,6 +73,11 @@ export function createAccumulator() {
             parts.push({ type: "text", data: currentText });
             currentText = "";
           }
+          // The plan goes in the pinned checklist, not the stream of tool calls
+          if (part?.tool === "todowrite") {
+            todos = part.state?.input?.todos ?? todos;
+            break;
+          }
           parts.push({ type: "tool", data: formatTool(part) });
           break;
         }
@@ -68,6 +93,12 @@ export function createAccumulator() {
               cacheWrite: part.tokens.cache?.write ?? 0,
               cost: part.cost ?? 0,
             };
+            usage.input += tokenInfo.input ?? 0;
+            usage.output += tokenInfo.output ?? 0;
+            usage.reasoning += tokenInfo.reasoning ?? 0;
+            usage.cacheRead += tokenInfo.cacheRead;
+            usage.cacheWrite += tokenInfo.cacheWrite;
+            usage.cost += tokenInfo.cost;
           }
           if (part?.reason === "stop") {
             finished = true;
@@ -87,55 +118,85 @@ export function createAccumulator() {
     },
 
     /**
-     * Returns Slack Block Kit blocks representing the current state.
+     * The run's last stretch of response text — what it concluded with.
+     * @returns {string}
+     */
+    get finalText() {
+      if (currentText) return currentText;
+      for (let i = parts.length - 1; i >= 0; i--) {
+        if (parts[i].type === "text") return parts[i].data;
+      }
+      return "";
+    },
+
+    /**
+     * Adds a one-line note (e.g. an approval decision) at the current
+     * position in the output.
+     * @param {string} text
+     */
+    note(text) {
+      if (currentText) {
+        parts.push({ type: "text", data: currentText });
+        currentText = "";
+      }
+      parts.push({ type: "note", data: text });
+    },
+
+    /**
+     * Returns Slack Block Kit blocks representing the current state,
+     * not yet split into messages (and without the todo checklist).
      * @returns {object[]}
      */
     blocks() {
       const blocks = [];
+      const quietTools = new Map(); // tool → calls, for the quiet summary
 
       for (const p of parts) {
-        if (blocks.length >= MAX_BLOCKS) break;
         switch (p.type) {
           case "text":
             blocks.push(...splitTextBlocks(p.data));
             break;
           case "tool":
-            blocks.push(...toolBlocks(p.data));
+            if (verbosity === "quiet") {
+              quietTools.set(p.data.tool, (quietTools.get(p.data.tool) ?? 0) + 1);
+            } else {
+              blocks.push(...toolBlocks(p.data, { maxLines: verbosity === "normal" ? NORMAL_TOOL_LINES : Infinity }));
+            }
             break;
           case "thinking":
-            blocks.push(...splitThinkingBlocks(p.data));
+            if (verbosity !== "quiet") blocks.push(...splitThinkingBlocks(p.data));
+            break;
+          case "note":
+            blocks.push(contextBlock(p.data));
             break;
         }
       }
 
       // Render current streaming text (not yet flushed)
-      if (currentText && blocks.length < MAX_BLOCKS) {
+      if (currentText) {
         blocks.push(...splitTextBlocks(currentText));
       }
 
-      // Status indicator
-      if (blocks.length < MAX_BLOCKS) {
-        if (!finished) {
-          blocks.push(contextBlock("Thinking..."));
-        } else if (tokenInfo) {
-          const cost =
-            tokenInfo.cost > 0 ? `  |  $${tokenInfo.cost.toFixed(4)}` : "";
-          const cached =
-            tokenInfo.cacheRead > 0
-              ? `  |  cache: ${fmtNum(tokenInfo.cacheRead)} read`
-              : "";
-          blocks.push(
-            contextBlock(
-              `tokens: ${fmtNum(tokenInfo.input)} in / ${fmtNum(tokenInfo.output)} out${cached}${cost}`
-            )
-          );
-        }
+      if (quietTools.size > 0) {
+        const calls = [...quietTools].map(([tool, n]) => (n > 1 ? `${tool} ×${n}` : tool));
+        blocks.push(contextBlock(`:hammer_and_wrench: _Tools: ${calls.join(" · ")}_`));
       }
 
-      // Overflow notice
-      if (blocks.length >= MAX_BLOCKS) {
-        blocks.splice(MAX_BLOCKS);
-        blocks.push(contextBlock("(output truncated — too many blocks for Slack)"));
+      // Status indicator
+      if (!finished) {
+        blocks.push(contextBlock("Thinking..."));
+      } else if (tokenInfo) {
+        const cost =
+          tokenInfo.cost > 0 ? `  |  $${tokenInfo.cost.toFixed(4)}` : "";
+        const cached =
+          tokenInfo.cacheRead > 0
+            ? `  |  cache: ${fmtNum(tokenInfo.cacheRead)} read`
+            : "";
+        blocks.push(
+          contextBlock(
+            `tokens: ${fmtNum(tokenInfo.input)} in / ${fmtNum(tokenInfo.output)} out${cached}${cost}`
+          )
+        );
       }
 
       if (blocks.length === 0) {
@@ -145,9 +206,40 @@ export function createAccumulator() {
       return blocks;
     },
 
+    /**
+     * Returns the current blocks split into Slack messages, with the todo
+     * checklist (if any) at the top of the first. Every page but the last
+     * ends with a "continued below" notice; callers may append up to 4
+     * blocks (e.g. buttons) to the last page.
+     * @returns {object[][]}
+     */
+    pages() {
+      const blocks = this.blocks();
+      // The first page leaves a slot for the checklist, used or not
+      const pages = [blocks.slice(0, PAGE_BLOCKS - 1)];
+      for (let i = PAGE_BLOCKS - 1; i < blocks.length; i += PAGE_BLOCKS) {
+        pages.push(blocks.slice(i, i + PAGE_BLOCKS));
+      }
+      for (const page of pages.slice(0, -1)) {
+        page.push(contextBlock("_continued below_ :arrow_down:"));
+      }
+      if (todos?.length) {
+        pages[0].unshift(todoBlock(todos));
+      }
+      return pages;
+    },
+
     get isFinished() {
       return finished;
     },
+
+    /**
+     * Token and cost totals summed over all steps so far.
+     * @returns {{input: number, output: number, reasoning: number, cacheRead: number, cacheWrite: number, cost: number}}
+     */
+    get usage() {
+      return { ...usage };
+    },
   };
 }
 
@@ -223,7 +315,7 @@ function formatTool(part) {
   return { tool, title, status, input, output };
 }
 
-function toolBlocks({ tool, title, status, input, output }) {
+function toolBlocks({ tool, title, status, input, output }, { maxLines = Infinity } = {}) {
   const blocks = [];
   const icon = status === "completed" ? ":white_check_mark:" : ":hourglass_flowing_sand:";
   const header = `${icon}  *${tool}*${title ? `  \`${title}\`` : ""}`;
@@ -231,7 +323,7 @@ function toolBlocks({ tool, title, status, input, output }) {
   blocks.push(markdownSection(header));
 
   // Show condensed input — split if long
-  const inputStr = formatToolInput(tool, input);
+  const inputStr = firstLines(formatToolInput(tool, input), maxLines);
   if (inputStr) {
     const inputChunks = splitAtBoundary(inputStr, 1400);
     for (const chunk of inputChunks) {
@@ -241,7 +333,7 @@ function toolBlocks({ tool, title, status, input, output }) {
 
   // Show output if completed — split if long
   if (status === "completed" && output) {
-    const outStr = typeof output === "string" ? output : JSON.stringify(output, null, 2);
+    const outStr = firstLines(typeof output === "string" ? output : JSON.stringify(output, null, 2), maxLines);
     const outputChunks = splitAtBoundary(outStr, 1400);
     for (const chunk of outputChunks) {
       blocks.push(markdownSection(`\`\`\`\n${chunk}\n\`\`\``));
@@ -252,6 +344,16 @@ function toolBlocks({ tool, title, status, input, output }) {
   return blocks;
 }
 
+// Cuts text to its first `max` lines (and one chunk), noting what was left out
+function firstLines(str, max) {
+  if (max === Infinity || !str) return str;
+  const lines = str.split("\n");
+  let kept = lines.slice(0, max).join("\n");
+  if (kept.length > 1300) kept = `${kept.slice(0, 1300)}…`;
+  const hidden = lines.length - Math.min(lines.length, max);
+  return hidden > 0 ? `${kept}\n… ${hidden} more line(s)` : kept;
+}
+
 function formatToolInput(tool, input) {
   switch (tool) {
     case "write":
@@ -266,13 +368,45 @@ function formatToolInput(tool, input) {
       return `glob → ${input.pattern ?? "?"}`;
     case "grep":
       return `grep → ${input.pattern ?? "?"} ${input.include ? `(${input.include})` : ""}`;
-    case "todowrite":
-      return `update todos`;
     default:
       return JSON.stringify(input, null, 2);
   }
 }
 
+// ── Todo checklist ────────────────────────────────────────────────────
+
+const TODO_ICONS = {
+  completed: ":white_check_mark:",
+  in_progress: ":arrow_forward:",
+  pending: ":white_large_square:",
+  cancelled: ":no_entry_sign:",
+};
+
+/**
+ * The todo list as one section: an icon per item, done / cancelled items
+ * struck through. Items that don't fit in one block are summarized.
+ */
+function todoBlock(todos) {
+  const done = todos.filter((t) => t.status === "completed").length;
+  const header = `*Plan* — ${done}/${todos.length} done`;
+
+  const lines = [];
+  let length = header.length;
+  for (const [i, todo] of todos.entries()) {
+    const content = (todo.content ?? "").replace(/\s+/g, " ").trim();
+    const text = todo.status === "completed" || todo.status === "cancelled" ? `~${content}~` : content;
+    const line = `${TODO_ICONS[todo.status] ?? TODO_ICONS.pending}  ${todo.status === "in_progress" ? `*${text}*` : text}`;
+    if (length + line.length + 40 > MAX_TEXT_LEN) {
+      lines.push(`_…and ${todos.length - i} more_`);
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+
+  return markdownSection([header, ...lines].join("\n"));
+}
+
 // ── Block helpers ─────────────────────────────────────────────────────
 
 function markdownSection(text) {
@@ -289,7 +423,7 @@ function contextBlock(text) {
   };
 }
 
-function fmtNum(n) {
+export function fmtNum(n) {
   if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M`;
   if (n >= 1_000) return `${(n / 1_000).toFixed(1)}k`;
   return String(n);
@@ -0,0 +1,170 @@
+/**
+ * Small git helpers: running git, and describing / committing what a run
+ * changed in a working tree.
+ *
+ * "Changes" are everything in the working tree that differs from HEAD —
+ * modified, added, deleted and untracked (but not ignored) files — across
+ * the whole repository the directory belongs to.
+ */
+
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+
+const GIT_TIMEOUT_MS = 60000;
+
+// Untracked files larger than this aren't line-counted or diffed
+const MAX_UNTRACKED_BYTES = 1024 * 1024;
+
+/**
+ * Runs git in `cwd` and resolves with its output (trailing whitespace
+ * trimmed). Rejects with git's stderr unless the exit code is in `okCodes`.
+ *
+ * @param {string} cwd
+ * @param {string[]} args
+ * @param {{okCodes?: number[], maxBuffer?: number, env?: Object<string, string>}} [opts]
+ *   env: extra environment variables (e.g. GIT_INDEX_FILE)
+ * @returns {Promise<string>}
+ */
+export function git(cwd, args, { okCodes = [0], maxBuffer = 10 * 1024 * 1024, env } = {}) {
+  const options = { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer, env: env && { ...process.env, ...env } };
+  return new Promise((resolve, reject) => {
+    execFile("git", args, options, (err, stdout, stderr) => {
+      if (err && !okCodes.includes(err.code)) {
+        reject(new Error(stderr.trim() || err.message));
+        return;
+      }
+      // Only trailing whitespace: porcelain output starts with significant spaces
+      resolve(stdout.trimEnd());
+    });
+  });
+}
+
+/**
+ * Top level of the repository `dir` is in, or null if it isn't in one
+ * (or the repository has no commits yet).
+ *
+ * @param {string} dir
+ * @returns {Promise<string|null>}
+ */
+export async function repoRoot(dir) {
+  try {
+    const root = await git(dir, ["rev-parse", "--show-toplevel"]);
+    await git(root, ["rev-parse", "--verify", "HEAD"]);
+    return root;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @typedef {Object} FileChange
+ * @property {string}      path
+ * @property {number|null} added   - null for binary files
+ * @property {number|null} removed
+ * @property {boolean}     untracked
+ *
+ * @typedef {Object} Changes
+ * @property {string}       root
+ * @property {FileChange[]} files
+ * @property {number}       added
+ * @property {number}       removed
+ */
+
+/**
+ * Working-tree changes against HEAD, or null outside a git repository.
+ *
+ * @param {string} dir
+ * @returns {Promise<Changes|null>}
+ */
+export async function workingChanges(dir) {
+  const root = await repoRoot(dir);
+  if (!root) return null;
+
+  const files = [];
+  // -z: NUL-terminated "added<TAB>removed<TAB>path" entries, paths unquoted
+  const numstat = await git(root, ["diff", "HEAD", "--numstat", "-z", "--no-renames"]);
+  for (const entry of numstat.split("\0").filter(Boolean)) {
+    const [added, removed, ...rest] = entry.split("\t");
+    files.push({
+      path: rest.join("\t"),
+      added: added === "-" ? null : Number(added),
+      removed: removed === "-" ? null : Number(removed),
+      untracked: false,
+    });
+  }
+
+  for (const file of await untrackedFiles(root)) {
+    files.push({ path: file, added: countLines(path.join(root, file)), removed: 0, untracked: true });
+  }
+
+  return {
+    root,
+    files,
+    added: files.reduce((n, f) => n + (f.added ?? 0), 0),
+    removed: files.reduce((n, f) => n + (f.removed ?? 0), 0),
+  };
+}
+
+/**
+ * Unified diff of the working tree against HEAD, untracked files included
+ * as new files. Empty string when nothing changed; null outside a repository.
+ *
+ * @param {string} dir
+ * @returns {Promise<string|null>}
+ */
+export async function workingDiff(dir) {
+  const root = await repoRoot(dir);
+  if (!root) return null;
+
+  // Readable (unquoted) non-ASCII names in the diff headers
+  const parts = [await git(root, ["-c", "core.quotePath=false", "diff", "HEAD"])];
+  for (const file of await untrackedFiles(root)) {
+    if (fs.statSync(path.join(root, file)).size > MAX_UNTRACKED_BYTES) {
+      parts.push(`# ${file}: new file, too large to show`);
+      continue;
+    }
+    // --no-index exits 1 when the files differ, which is the point
+    parts.push(await git(root, ["-c", "core.quotePath=false", "diff", "--no-index", "--", "/dev/null", file], { okCodes: [0, 1] }));
+  }
+  return parts.filter(Boolean).join("\n");
+}
+
+/**
+ * Stages everything (respecting .gitignore) and commits it.
+ * Resolves null when there was nothing to commit.
+ *
+ * @param {string} dir
+ * @param {{message: string}} opts
+ * @returns {Promise<{sha: string, files: number}|null>}
+ */
+export async function commitAll(dir, { message }) {
+  const root = await repoRoot(dir);
+  if (!root) throw new Error(`\`${dir}\` is not in a git repository with commits`);
+
+  await git(root, ["add", "-A"]);
+  const staged = (await git(root, ["diff", "--cached", "--name-only", "-z"])).split("\0").filter(Boolean);
+  if (staged.length === 0) return null;
+
+  await git(root, ["commit", "-m", message]);
+  const sha = await git(root, ["rev-parse", "--short", "HEAD"]);
+  return { sha, files: staged.length };
+}
+
+async function untrackedFiles(root) {
+  const out = await git(root, ["ls-files", "--others", "--exclude-standard", "-z"]);
+  return out.split("\0").filter(Boolean);
+}
+
+function countLines(file) {
+  try {
+    if (fs.statSync(file).size > MAX_UNTRACKED_BYTES) return null;
+    const content = fs.readFileSync(file);
+    if (content.includes(0)) return null; // binary
+    const text = content.toString("utf8");
+    if (!text) return 0;
+    return text.split("\n").length - (text.endsWith("\n") ? 1 : 0);
+  } catch {
+    return null;
+  }
+}
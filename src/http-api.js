@@ -0,0 +1,187 @@
+/**
+ * Local HTTP API for starting runs from scripts and CI.
+ *
+ * Enabled by setting OPENCODE_HTTP_PORT; listens on OPENCODE_HTTP_HOST
+ * (default 127.0.0.1) and requires `Authorization: Bearer <OPENCODE_HTTP_TOKEN>`.
+ *
+ *   POST /runs          { prompt, directory?, model?, agent?, channel?, user?, title?, wait? }
+ *                       → starts a new Slack thread and runs the prompt in it
+ *   GET  /runs/:thread  ?wait=<seconds>
+ *                       → the run's state, waiting up to `wait` seconds for it to finish
+ *
+ * Both answer with { threadTs, channel, link, state: "running" | "finished" },
+ * plus { status, text, usage } once the run has finished. `wait` (seconds,
+ * or true for the maximum) turns a request into a long-poll.
+ *
+ * Finished runs are remembered for RUN_TTL_MS.
+ */
+
+import http from "node:http";
+import { createHash, timingSafeEqual } from "node:crypto";
+
+const PORT = Number(process.env.OPENCODE_HTTP_PORT || "0");
+const HOST = process.env.OPENCODE_HTTP_HOST || "127.0.0.1";
+const TOKEN = process.env.OPENCODE_HTTP_TOKEN || "";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_WAIT_S = 900;
+const RUN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Error with an HTTP status, for startRun to reject bad requests with.
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * @typedef {Object} StartedRun
+ * @property {string} threadTs
+ * @property {string} channel
+ * @property {string|null} link
+ * @property {Promise<{status: string, text?: string, usage?: object}>} result
+ */
+
+/**
+ * Starts the API if it is configured. Returns the server, or null.
+ *
+ * @param {Object} opts
+ * @param {(params: object) => Promise<StartedRun>} opts.startRun - validates the
+ *   request body (throwing HttpError for bad input) and starts the run
+ * @returns {http.Server|null}
+ */
+export function startHttpApi({ startRun }) {
+  if (!PORT) return null;
+  if (!TOKEN) {
+    console.error("OPENCODE_HTTP_PORT is set but OPENCODE_HTTP_TOKEN isn't — HTTP API disabled");
+    return null;
+  }
+
+  const runs = new Map(); // threadTs → { threadTs, channel, link, state, finishedAt, result, done }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (!authorized(req)) {
+        throw new HttpError(401, "missing or wrong bearer token");
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      pruneRuns(runs);
+
+      if (req.method === "POST" && url.pathname === "/runs") {
+        const body = await readJson(req);
+        const started = await startRun(body);
+        const run = track(runs, started);
+        console.log("[http api] started", run.threadTs, "in", run.channel);
+        reply(res, 201, await settle(run, waitSeconds(body.wait)));
+        return;
+      }
+
+      const match = url.pathname.match(/^\/runs\/([\d.]+)$/);
+      if (req.method === "GET" && match) {
+        const run = runs.get(match[1]);
+        if (!run) throw new HttpError(404, "unknown run (or finished more than an hour ago)");
+        reply(res, 200, await settle(run, waitSeconds(url.searchParams.get("wait"))));
+        return;
+      }
+
+      throw new HttpError(404, "not found");
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error("[http api error]", err);
+      reply(res, status, { error: err.message });
+    }
+  });
+
+  // A taken or forbidden port only costs us the API, not the bot
+  server.on("error", (err) => {
+    console.error(`[http api] can't listen on ${HOST}:${PORT} (${err.code ?? err.message}) — HTTP API disabled`);
+    server.close();
+  });
+  server.listen(PORT, HOST, () => {
+    console.log(`   HTTP API:     http://${HOST}:${PORT}`);
+  });
+  return server;
+}
+
+function authorized(req) {
+  const header = req.headers.authorization ?? "";
+  const given = header.startsWith("Bearer ") ? header.slice(7) : "";
+  // Compare digests so the comparison takes the same time whatever the length
+  const digest = (s) => createHash("sha256").update(s).digest();
+  return timingSafeEqual(digest(given), digest(TOKEN));
+}
+
+function track(runs, { threadTs, channel, link, result }) {
+  const run = { threadTs, channel, link, state: "running", finishedAt: null, result: null };
+  run.done = result.then(
+    (r) => r,
+    (err) => ({ status: "error", error: err.message })
+  ).then((r) => {
+    run.state = "finished";
+    run.finishedAt = Date.now();
+    run.result = r;
+  });
+  runs.set(threadTs, run);
+  return run;
+}
+
+// Waits (up to `seconds`) for the run to finish, then describes it
+async function settle(run, seconds) {
+  if (run.state === "running" && seconds > 0) {
+    let timer;
+    await Promise.race([run.done, new Promise((r) => (timer = setTimeout(r, seconds * 1000)))]);
+    clearTimeout(timer);
+  }
+  const { threadTs, channel, link, state, result } = run;
+  return { threadTs, channel, link, state, ...(result ?? {}) };
+}
+
+function pruneRuns(runs) {
+  const cutoff = Date.now() - RUN_TTL_MS;
+  for (const [threadTs, run] of runs) {
+    if (run.finishedAt && run.finishedAt < cutoff) runs.delete(threadTs);
+  }
+}
+
+function waitSeconds(wait) {
+  if (wait === true || wait === "true") return MAX_WAIT_S;
+  const n = Number(wait);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_WAIT_S) : 0;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+        if (typeof body !== "object" || body === null || Array.isArray(body)) {
+          throw new Error("not an object");
+        }
+        resolve(body);
+      } catch {
+        reject(new HttpError(400, "body must be a JSON object"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body) + "\n");
+}
@@ -0,0 +1,120 @@
+/**
+ * Persistent ledger of token usage and cost, one JSON line per run,
+ * kept in the data directory (usage.jsonl).
+ *
+ * Each entry records who ran what, where and with which model:
+ *   { startedAt, finishedAt, threadTs, channel, user, directory, model, agent,
+ *     sessionID, status, input, output, reasoning, cacheRead, cacheWrite, cost }
+ */
+
+import fs from "node:fs";
+import { dataPath } from "./data-dir.js";
+
+const LEDGER_FILE = dataPath("usage.jsonl");
+
+const CSV_COLUMNS = [
+  "startedAt",
+  "finishedAt",
+  "threadTs",
+  "channel",
+  "user",
+  "directory",
+  "model",
+  "agent",
+  "sessionID",
+  "status",
+  "input",
+  "output",
+  "reasoning",
+  "cacheRead",
+  "cacheWrite",
+  "cost",
+];
+
+/**
+ * Appends one run's usage to the ledger.
+ * @param {object} entry
+ */
+export function recordUsage(entry) {
+  try {
+    fs.appendFileSync(LEDGER_FILE, JSON.stringify(entry) + "\n");
+  } catch (err) {
+    console.error("[ledger] write failed", err.message);
+  }
+}
+
+/**
+ * Reads ledger entries, optionally only those started at or after `since`.
+ *
+ * @param {{since?: Date}} [opts]
+ * @returns {object[]}
+ */
+export function readUsage({ since } = {}) {
+  if (!fs.existsSync(LEDGER_FILE)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(LEDGER_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (since && new Date(entry.startedAt) < since) continue;
+      entries.push(entry);
+    } catch {
+      // Torn write from a crash — skip it
+    }
+  }
+  return entries;
+}
+
+/**
+ * Totals entries grouped by a key function, largest cost first.
+ *
+ * @param {object[]} entries
+ * @param {(entry: object) => string} keyOf
+ * @returns {Array<{key: string, runs: number, input: number, output: number, cost: number}>}
+ */
+export function summarizeUsage(entries, keyOf) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = keyOf(e);
+    const g = groups.get(key) ?? { key, runs: 0, input: 0, output: 0, cost: 0 };
+    g.runs++;
+    g.input += e.input ?? 0;
+    g.output += e.output ?? 0;
+    g.cost += e.cost ?? 0;
+    groups.set(key, g);
+  }
+  return [...groups.values()].sort((a, b) => b.cost - a.cost);
+}
+
+/**
+ * Renders entries as CSV (header + one row per run).
+ *
+ * @param {object[]} entries
+ * @returns {string}
+ */
+export function usageCsv(entries) {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const e of entries) {
+    rows.push(CSV_COLUMNS.map((c) => csvField(e[c])).join(","));
+  }
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Local calendar day (YYYY-MM-DD) of a date.
+ *
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+export function dayKey(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
@@ -4,39 +4,99 @@
  *
  * Supports:
  *  - New sessions (no sessionID)
- *  - Continuing sessions (with --session <id>)
+ *  - Continuing sessions (with --session <id>), or a copy of one (--fork)
  *  - Configurable working directory, model, agent, command, files
+ *  - Permission approvals: tools configured as "ask" pause the run, and the
+ *    request is answered through the run's local server (--port)
+ *  - A watchdog: a wall-clock limit (OPENCODE_RUN_TIMEOUT_MS) and an
+ *    inactivity limit (OPENCODE_IDLE_TIMEOUT_MS, paused while a permission
+ *    request is waiting for an answer). Either kills the whole process group.
  */
 
 import { spawn, execFile } from "node:child_process";
 import { EventEmitter } from "node:events";
+import net from "node:net";
+import fs from "node:fs";
+import path from "node:path";
 
 const HOME = process.env.HOME || process.env.USERPROFILE || "";
 const OPENCODE_BIN = process.env.OPENCODE_BIN || `${HOME}/.opencode/bin/opencode`;
-const DEFAULT_MODEL = "anthropic/claude-opus-4-6";
+export const DEFAULT_MODEL = "anthropic/claude-opus-4-6";
+// OpenCode's own data (sessions, messages), for message counts
+const OPENCODE_DATA_DIR = path.join(
+  process.env.XDG_DATA_HOME || path.join(HOME, ".local", "share"),
+  "opencode"
+);
 const RAW_LIST_CACHE_TTL_MS = Number(process.env.OPENCODE_LIST_CACHE_TTL_MS || "300000");
 const LIST_CACHE_TTL_MS = Number.isFinite(RAW_LIST_CACHE_TTL_MS) && RAW_LIST_CACHE_TTL_MS > 0
   ? RAW_LIST_CACHE_TTL_MS
   : 300000;
 
+// Watchdog limits; 0 turns a limit off
+const RUN_TIMEOUT_MS = envNumber("OPENCODE_RUN_TIMEOUT_MS", 2 * 60 * 60 * 1000);
+const IDLE_TIMEOUT_MS = envNumber("OPENCODE_IDLE_TIMEOUT_MS", 15 * 60 * 1000);
+
+// Time a process gets to exit after SIGTERM before it is SIGKILLed
+const KILL_GRACE_MS = 5000;
+
+/**
+ * A non-negative number from the environment, or `fallback` when it is unset
+ * or invalid.
+ *
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+export function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    console.error(`${name}: ignoring invalid value "${raw}"`);
+    return fallback;
+  }
+  return value;
+}
+
 /**
  * @typedef {Object} RunOptions
  * @property {string}   message     - The user message
  * @property {string}   [sessionID] - Continue an existing session
+ * @property {boolean}  [fork]      - Continue a copy of sessionID instead,
+ *   leaving the original untouched ("done" reports the copy's ID)
  * @property {string}   [directory] - Working directory for opencode
  * @property {string}   [model]     - Model override (provider/model)
  * @property {string}   [agent]     - Agent to use (e.g. build, plan, forge)
  * @property {string}   [command]   - Slash command to run (e.g. init)
  * @property {string[]} [files]     - Files to attach
+ * @property {Object<string, string>} [permissions] - OpenCode permission config to
+ *   force for this run (e.g. { bash: "ask" }), on top of the user's own allow /
+ *   deny patterns; enables "permission" events
+ */
+
+/**
+ * @typedef {Object} PermissionRequest
+ * @property {string}   id
+ * @property {string}   sessionID
+ * @property {string}   tool      - permission type (bash, edit, webfetch, ...)
+ * @property {string}   title
+ * @property {string}   [command] - bash command, if any
+ * @property {string}   [filePath] - target file for edits, if any
+ * @property {string[]} patterns
+ * @property {object}   metadata
  */
 
 /**
  * Runs opencode and returns an EventEmitter that emits parsed JSON events.
  *
  * Events emitted:
- *   "event"  → { type, timestamp, sessionID, part }
- *   "error"  → Error
- *   "done"   → { sessionID, exitCode }
+ *   "event"      → { type, timestamp, sessionID, part }
+ *   "permission" → PermissionRequest (only with opts.permissions);
+ *                  answer it with emitter.respondPermission(request, reply)
+ *   "error"      → Error
+ *   "done"       → { sessionID, exitCode, timedOut }
+ *                  (timedOut: { reason: "run" | "idle", ms } if the watchdog
+ *                  killed the run, otherwise null)
  *
  * @param {RunOptions} opts
  * @returns {EventEmitter}
@@ -48,6 +108,7 @@ export function runOpencode(opts) {
 
   if (opts.sessionID) {
     args.push("--session", opts.sessionID);
+    if (opts.fork) args.push("--fork");
   }
 
   if (opts.model) {
@@ -74,73 +135,385 @@ export function runOpencode(opts) {
     }
   }
 
-  // The message goes last as positional args
-  args.push(opts.message);
+  // A fork's own session ID only shows up in its events
+  const knownSessionID = (!opts.fork && opts.sessionID) || null;
 
-  console.log("[opencode spawn]", OPENCODE_BIN, args.join(" "));
+  let child = null;
+  let aborted = false;
+  let timedOut = null;
+  let runTimer = null;
+  let idleTimer = null;
+  let killTimer = null;
+  const pendingPermissions = new Set();
 
-  const child = spawn(OPENCODE_BIN, args, {
-    stdio: ["ignore", "pipe", "pipe"],
-    env: { ...process.env },
-  });
+  // Stops the whole process group (opencode plus anything its tools
+  // started), escalating to SIGKILL if it doesn't go quietly
+  const kill = () => {
+    if (!child || child.exitCode !== null || child.signalCode !== null) return;
+    signalGroup(child, "SIGTERM");
+    clearTimeout(killTimer);
+    killTimer = setTimeout(() => signalGroup(child, "SIGKILL"), KILL_GRACE_MS);
+  };
+
+  const timeOut = (reason, ms) => {
+    if (timedOut || aborted) return;
+    console.log("[opencode timeout]", reason, `${ms}ms`);
+    timedOut = { reason, ms };
+    kill();
+  };
+
+  // Restarted on every event; not armed while a permission request waits
+  const armIdle = () => {
+    clearTimeout(idleTimer);
+    if (!IDLE_TIMEOUT_MS || pendingPermissions.size > 0) return;
+    idleTimer = setTimeout(() => timeOut("idle", IDLE_TIMEOUT_MS), IDLE_TIMEOUT_MS);
+  };
 
   // Expose for external abort
-  emitter.child = child;
   emitter.abort = () => {
-    child.kill("SIGTERM");
+    aborted = true;
+    kill();
   };
 
-  let buffer = "";
-  let lastSessionID = opts.sessionID || null;
+  if (opts.permissions) {
+    // Approvals need the run's local server, so pin it to a known port
+    freePort()
+      .then((port) => {
+        if (aborted) {
+          emitter.emit("done", { sessionID: knownSessionID, exitCode: null, timedOut: null });
+          return;
+        }
+        args.push("--port", String(port));
+        start(port);
+      })
+      .catch((err) => emitter.emit("error", err));
+  } else {
+    start(null);
+  }
+
+  function start(port) {
+    // The message goes last as positional args
+    args.push(opts.message);
 
-  child.stdout.on("data", (chunk) => {
-    buffer += chunk.toString();
-    // Each JSON event is a single line
-    const lines = buffer.split("\n");
-    // Keep the last (possibly incomplete) chunk
-    buffer = lines.pop() || "";
+    console.log("[opencode spawn]", OPENCODE_BIN, args.join(" "));
 
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed) continue;
-      try {
-        const event = JSON.parse(trimmed);
-        if (event.sessionID) {
-          lastSessionID = event.sessionID;
+    const env = { ...process.env };
+    if (opts.permissions) {
+      const base = env.OPENCODE_CONFIG_CONTENT ? JSON.parse(env.OPENCODE_CONFIG_CONTENT) : {};
+      env.OPENCODE_CONFIG_CONTENT = JSON.stringify({
+        ...base,
+        permission: forcePermissions(userPermissions(opts.directory, base.permission), opts.permissions),
+      });
+    }
+
+    child = spawn(OPENCODE_BIN, args, {
+      stdio: ["ignore", "pipe", "pipe"],
+      env,
+      // Own process group, so the watchdog can kill tool subprocesses too
+      detached: process.platform !== "win32",
+    });
+    emitter.child = child;
+
+    if (RUN_TIMEOUT_MS) {
+      runTimer = setTimeout(() => timeOut("run", RUN_TIMEOUT_MS), RUN_TIMEOUT_MS);
+    }
+    armIdle();
+
+    if (port) {
+      emitter.respondPermission = async (request, reply) => {
+        try {
+          await respondPermission(port, request, reply);
+        } finally {
+          pendingPermissions.delete(request.id);
+          armIdle();
         }
-        emitter.emit("event", event);
-      } catch {
-        // Not valid JSON — might be opencode startup noise, ignore
-      }
+      };
+      watchServerEvents(port, child, (request) => {
+        pendingPermissions.add(request.id);
+        armIdle();
+        emitter.emit("permission", request);
+      });
     }
+
+    let buffer = "";
+    let lastSessionID = knownSessionID;
+
+    child.stdout.on("data", (chunk) => {
+      buffer += chunk.toString();
+      // Each JSON event is a single line
+      const lines = buffer.split("\n");
+      // Keep the last (possibly incomplete) chunk
+      buffer = lines.pop() || "";
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        try {
+          const event = JSON.parse(trimmed);
+          if (event.sessionID) {
+            lastSessionID = event.sessionID;
+          }
+          armIdle();
+          emitter.emit("event", event);
+        } catch {
+          // Not valid JSON — might be opencode startup noise, ignore
+        }
+      }
+    });
+
+    child.stderr.on("data", (chunk) => {
+      const text = chunk.toString().trim();
+      if (text) {
+        emitter.emit("stderr", text);
+      }
+    });
+
+    child.on("error", (err) => {
+      clearTimeout(runTimer);
+      clearTimeout(idleTimer);
+      emitter.emit("error", err);
+    });
+
+    child.on("close", (exitCode) => {
+      clearTimeout(runTimer);
+      clearTimeout(idleTimer);
+      clearTimeout(killTimer);
+
+      // Flush remaining buffer
+      if (buffer.trim()) {
+        try {
+          const event = JSON.parse(buffer.trim());
+          if (event.sessionID) lastSessionID = event.sessionID;
+          emitter.emit("event", event);
+        } catch {
+          // ignore
+        }
+      }
+      emitter.emit("done", { sessionID: lastSessionID, exitCode, timedOut });
+    });
+  }
+
+  return emitter;
+}
+
+// ── Permission requests (via the run's local server) ──────────────────
+
+/**
+ * Subscribes to the server-sent event stream of a running `opencode run`
+ * and passes permission requests to onPermission. The server needs a moment
+ * to come up, so connection attempts are retried until the child exits.
+ */
+async function watchServerEvents(port, child, onPermission) {
+  let exited = false;
+  const controller = new AbortController();
+  child.on("close", () => {
+    exited = true;
+    controller.abort();
   });
 
-  child.stderr.on("data", (chunk) => {
-    const text = chunk.toString().trim();
-    if (text) {
-      emitter.emit("stderr", text);
+  while (!exited) {
+    try {
+      const res = await fetch(`http://127.0.0.1:${port}/event`, { signal: controller.signal });
+      if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
+
+      let buffer = "";
+      const decoder = new TextDecoder();
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop() || "";
+        for (const line of lines) {
+          if (!line.startsWith("data:")) continue;
+          let event;
+          try {
+            event = JSON.parse(line.slice(5).trim());
+          } catch {
+            continue;
+          }
+          // Older servers emit "permission.updated", newer "permission.asked"
+          if (event.type === "permission.updated" || event.type === "permission.asked") {
+            onPermission(normalizePermission(event.properties ?? {}));
+          }
+        }
+      }
+    } catch {
+      // Server not up yet, or the stream dropped
     }
-  });
+    if (!exited) await new Promise((r) => setTimeout(r, 300));
+  }
+}
+
+function normalizePermission(props) {
+  const metadata = props.metadata ?? {};
+  const tool = props.permission ?? props.type ?? "unknown";
+  const patterns = props.patterns ?? (props.pattern ? [].concat(props.pattern) : []);
+  return {
+    id: props.id,
+    sessionID: props.sessionID,
+    tool,
+    title: props.title ?? "",
+    command: metadata.command ?? (tool === "bash" ? patterns.join(" ") : null),
+    filePath: metadata.filepath ?? metadata.filePath ?? (tool === "edit" ? patterns[0] ?? null : null),
+    patterns,
+    metadata,
+  };
+}
+
+/**
+ * Answers a permission request: "once", "always" or "reject".
+ */
+async function respondPermission(port, request, reply) {
+  const base = `http://127.0.0.1:${port}`;
+  const post = (url, body) =>
+    fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  let res = await post(`${base}/session/${request.sessionID}/permissions/${request.id}`, { response: reply });
+  if (res.status === 404) {
+    // Newer servers moved permission replies to their own route
+    res = await post(`${base}/permission/${request.id}/reply`, { reply });
+  }
+  if (!res.ok) {
+    throw new Error(`permission reply failed: HTTP ${res.status}`);
+  }
+}
+
+function signalGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // Not a group leader (Windows) or already gone
+    try {
+      child.kill(signal);
+    } catch {
+      // ignore
+    }
+  }
+}
 
-  child.on("error", (err) => {
-    emitter.emit("error", err);
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
   });
+}
 
-  child.on("close", (exitCode) => {
-    // Flush remaining buffer
-    if (buffer.trim()) {
-      try {
-        const event = JSON.parse(buffer.trim());
-        if (event.sessionID) lastSessionID = event.sessionID;
-        emitter.emit("event", event);
-      } catch {
-        // ignore
+// ── Permission config ──────────────────────────────────────────────────
+
+/**
+ * Makes the forced tools ask, keeping what the user's own config says per
+ * pattern: a tool it denies stays denied, and its allow / deny patterns
+ * still apply — only the catch-all turns into "ask".
+ *
+ * @param {Object} user   - the user's merged permission config
+ * @param {Object<string, string>} forced - e.g. { bash: "ask" }
+ * @returns {Object}
+ */
+function forcePermissions(user, forced) {
+  const merged = { ...user };
+  for (const [tool, value] of Object.entries(forced)) {
+    const own = user[tool];
+    if (own === "deny") continue;
+    if (isPlainObject(own)) {
+      const { "*": catchAll, ...patterns } = own;
+      // The catch-all goes first, so the specific patterns win over it
+      merged[tool] = { "*": catchAll === "deny" ? "deny" : value, ...patterns };
+    } else {
+      merged[tool] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * The permission config OpenCode would build for a run in `directory`:
+ * the global config, OPENCODE_CONFIG, the project's opencode.json(c) files
+ * (up to the repository root, nearest last) and finally `inline`
+ * (OPENCODE_CONFIG_CONTENT), merged per tool and pattern.
+ *
+ * @param {string|undefined} directory
+ * @param {Object|undefined} inline
+ * @returns {Object}
+ */
+function userPermissions(directory, inline) {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(HOME, ".config");
+  const files = ["config.json", "opencode.json", "opencode.jsonc"].map((name) => path.join(configHome, "opencode", name));
+  if (process.env.OPENCODE_CONFIG) files.push(process.env.OPENCODE_CONFIG);
+  files.push(...projectConfigFiles(directory));
+
+  let merged = {};
+  for (const file of files) {
+    merged = mergePermissionConfig(merged, readConfigFile(file)?.permission);
+  }
+  return mergePermissionConfig(merged, inline);
+}
+
+function projectConfigFiles(directory) {
+  if (!directory) return [];
+  const found = [];
+  for (let dir = path.resolve(directory); ; dir = path.dirname(dir)) {
+    found.unshift(...["opencode.json", "opencode.jsonc"].map((name) => path.join(dir, name)));
+    if (fs.existsSync(path.join(dir, ".git")) || path.dirname(dir) === dir) break;
+  }
+  return found;
+}
+
+function mergePermissionConfig(base, over) {
+  if (!isPlainObject(over)) return base;
+  const merged = { ...base };
+  for (const [tool, value] of Object.entries(over)) {
+    merged[tool] = isPlainObject(merged[tool]) && isPlainObject(value) ? { ...merged[tool], ...value } : value;
+  }
+  return merged;
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch {
+    return null;
+  }
+  try {
+    return JSON.parse(stripJsonComments(text));
+  } catch (err) {
+    console.error("[opencode config] can't parse", file, err.message);
+    return null;
+  }
+}
+
+// JSONC → JSON: drops comments, and trailing commas, outside strings
+function stripJsonComments(text) {
+  let out = "";
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') {
+      const start = i;
+      for (i++; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === "\\") i++;
       }
+      out += text.slice(start, i + 1);
+    } else if (text.startsWith("//", i)) {
+      while (i + 1 < text.length && text[i + 1] !== "\n") i++;
+    } else if (text.startsWith("/*", i)) {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      out += text[i];
     }
-    emitter.emit("done", { sessionID: lastSessionID, exitCode });
-  });
+  }
+  return out.replace(/,(\s*[}\]])/g, "$1");
+}
 
-  return emitter;
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
 }
 
 /**
@@ -211,3 +584,61 @@ export async function listAgents() {
     });
   });
 }
+
+/**
+ * @typedef {Object} SessionSummary
+ * @property {string}      id
+ * @property {string}      title
+ * @property {string}      directory - where the session was started
+ * @property {number}      created   - epoch ms
+ * @property {number}      updated   - epoch ms
+ * @property {number|null} messages  - null if OpenCode's storage can't be read
+ */
+
+/**
+ * Lists the most recently updated sessions of the project `directory`
+ * belongs to, by running `opencode session list`. Not cached: sessions
+ * started in a terminal should show up right away.
+ *
+ * @param {string} directory
+ * @param {{limit?: number}} [opts]
+ * @returns {Promise<SessionSummary[]>}
+ */
+export function listSessions(directory, { limit = 20 } = {}) {
+  const args = ["session", "list", "--format", "json", "--max-count", String(limit)];
+  return new Promise((resolve, reject) => {
+    execFile(OPENCODE_BIN, args, { cwd: directory, timeout: 15000, maxBuffer: 10 * 1024 * 1024 }, (err, stdout) => {
+      if (err) {
+        console.error("[listSessions error]", err.message);
+        reject(new Error(`opencode session list failed: ${err.message.split("\n")[0]}`));
+        return;
+      }
+      let sessions;
+      try {
+        sessions = stdout.trim() ? JSON.parse(stdout) : [];
+      } catch {
+        reject(new Error("opencode session list returned something other than JSON"));
+        return;
+      }
+      resolve(
+        sessions.map((s) => ({
+          id: s.id,
+          title: s.title || "(untitled)",
+          directory: s.directory ?? directory,
+          created: s.created ?? s.time?.created,
+          updated: s.updated ?? s.time?.updated,
+          messages: countMessages(s.id),
+        }))
+      );
+    });
+  });
+}
+
+// Messages are stored one file each under storage/message/<sessionID>
+function countMessages(sessionID) {
+  try {
+    return fs.readdirSync(path.join(OPENCODE_DATA_DIR, "storage", "message", sessionID)).length;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Global limit on concurrent OpenCode runs, shared by every thread.
+ *
+ * Runs that can't start yet wait in one line, first come first served.
+ * A thread never has more than one run in line (its own messages are
+ * serialized by the thread queue) and goes to the back of the line for its
+ * next message, so busy threads take turns instead of starving the others.
+ *
+ * With a per-directory limit, a waiter whose directory is full is passed
+ * over — keeping its place — by waiters behind it that can start.
+ */
+
+import path from "node:path";
+
+/**
+ * @typedef {Object} RunTicket
+ * @property {Promise<boolean>} ready - resolves true once the run may start,
+ *   false if it was cancelled while waiting
+ * @property {() => void} release - gives the slot back (call when the run ends)
+ * @property {() => void} cancel  - leaves the line without running
+ */
+
+/**
+ * @param {Object} opts
+ * @param {number} opts.maxRuns         - concurrent runs overall (0 = no limit)
+ * @param {number} opts.maxPerDirectory - concurrent runs per directory (0 = no limit)
+ */
+export function createRunSlots({ maxRuns, maxPerDirectory }) {
+  const waiting = []; // { dir, position, onPosition, grant(ok) }
+  const perDirectory = new Map(); // directory → running count
+  let running = 0;
+
+  function canStart(waiter) {
+    if (maxRuns && running >= maxRuns) return false;
+    if (maxPerDirectory && (perDirectory.get(waiter.dir) ?? 0) >= maxPerDirectory) return false;
+    return true;
+  }
+
+  // Starts whoever can start, then tells the rest where they stand
+  function pump() {
+    for (let i = 0; i < waiting.length; ) {
+      const waiter = waiting[i];
+      if (!canStart(waiter)) {
+        i++;
+        continue;
+      }
+      waiting.splice(i, 1);
+      running++;
+      perDirectory.set(waiter.dir, (perDirectory.get(waiter.dir) ?? 0) + 1);
+      waiter.grant(true);
+    }
+
+    for (const [i, waiter] of waiting.entries()) {
+      if (waiter.position === i + 1) continue;
+      waiter.position = i + 1;
+      waiter.onPosition?.(waiter.position);
+    }
+  }
+
+  function free(dir) {
+    running--;
+    const left = perDirectory.get(dir) - 1;
+    if (left > 0) perDirectory.set(dir, left);
+    else perDirectory.delete(dir);
+    pump();
+  }
+
+  return {
+    /**
+     * Gets in line for a run slot.
+     *
+     * @param {Object} opts
+     * @param {string} opts.directory - the run's working directory
+     * @param {(position: number) => void} [opts.onPosition] - called with the
+     *   1-based position in line whenever it changes (never if the run can
+     *   start right away)
+     * @returns {RunTicket}
+     */
+    acquire({ directory, onPosition }) {
+      const dir = path.resolve(directory || ".");
+      let state = "waiting"; // → "running" → "done", or → "done" if cancelled
+
+      let resolveReady;
+      const ready = new Promise((resolve) => (resolveReady = resolve));
+
+      const waiter = {
+        dir,
+        position: 0,
+        onPosition,
+        grant(ok) {
+          state = ok ? "running" : "done";
+          resolveReady(ok);
+        },
+      };
+      waiting.push(waiter);
+      pump();
+
+      return {
+        ready,
+        release() {
+          if (state !== "running") return;
+          state = "done";
+          free(dir);
+        },
+        cancel() {
+          if (state !== "waiting") return;
+          waiting.splice(waiting.indexOf(waiter), 1);
+          waiter.grant(false);
+          pump();
+        },
+      };
+    },
+
+    /**
+     * Current load, for logs and status displays.
+     * @returns {{running: number, waiting: number}}
+     */
+    stats() {
+      return { running, waiting: waiting.length };
+    },
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Scheduled and recurring prompts, persisted in the data directory
+ * (schedules.json).
+ *
+ * Each schedule posts a new thread in its channel and runs its prompt with a
+ * fixed directory, model and agent:
+ *   { id, cron, prompt, channel, directory, model, agent, createdBy,
+ *     createdAt, lastRunAt, nextRunAt }
+ *
+ * The scheduler checks for due schedules every TICK_MS. A schedule whose
+ * time passed while the bot was down runs once on startup if it is less
+ * than OPENCODE_SCHEDULE_CATCHUP_MS late (default 6 hours) and is skipped
+ * otherwise; either way, missed occurrences are never replayed one by one.
+ */
+
+import fs from "node:fs";
+import { randomUUID } from "node:crypto";
+import { dataPath } from "./data-dir.js";
+import { parseCron, nextRun } from "./cron.js";
+
+const SCHEDULES_FILE = dataPath("schedules.json");
+const TICK_MS = 30000;
+
+const RAW_CATCHUP_MS = Number(process.env.OPENCODE_SCHEDULE_CATCHUP_MS ?? "21600000");
+const CATCHUP_MS = Number.isFinite(RAW_CATCHUP_MS) && RAW_CATCHUP_MS >= 0 ? RAW_CATCHUP_MS : 21600000;
+
+const schedules = load();
+
+function load() {
+  if (!fs.existsSync(SCHEDULES_FILE)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(SCHEDULES_FILE, "utf8"));
+  } catch (err) {
+    console.error("[schedules] could not read", SCHEDULES_FILE, err.message);
+    return [];
+  }
+}
+
+function save() {
+  const tmp = `${SCHEDULES_FILE}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(schedules, null, 2) + "\n");
+    fs.renameSync(tmp, SCHEDULES_FILE);
+  } catch (err) {
+    console.error("[schedules] write failed", err.message);
+  }
+}
+
+/**
+ * @returns {object[]} all schedules, soonest first
+ */
+export function listSchedules() {
+  return [...schedules].sort((a, b) => (a.nextRunAt ?? "~").localeCompare(b.nextRunAt ?? "~"));
+}
+
+/**
+ * Adds a schedule. Throws if the cron expression is invalid or never fires.
+ *
+ * @param {{cron: string, prompt: string, channel: string, directory: string,
+ *          model?: string|null, agent?: string|null, createdBy: string}} opts
+ * @returns {object} the new schedule
+ */
+export function addSchedule({ cron, prompt, channel, directory, model = null, agent = null, createdBy }) {
+  const parsed = parseCron(cron);
+  const next = nextRun(parsed, new Date());
+  if (!next) throw new Error(`"${cron}" never fires`);
+
+  const schedule = {
+    id: randomUUID().slice(0, 6),
+    cron: parsed.source,
+    prompt,
+    channel,
+    directory,
+    model,
+    agent,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    nextRunAt: next.toISOString(),
+  };
+  schedules.push(schedule);
+  save();
+  return schedule;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null} the deleted schedule
+ */
+export function deleteSchedule(id) {
+  const i = schedules.findIndex((s) => s.id === id);
+  if (i === -1) return null;
+  const [removed] = schedules.splice(i, 1);
+  save();
+  return removed;
+}
+
+/**
+ * Starts firing due schedules. `onDue` is called once per due schedule and
+ * may be async; errors are logged, not retried.
+ *
+ * @param {{onDue: (schedule: object) => Promise<void>|void}} opts
+ */
+export function startScheduler({ onDue }) {
+  const tick = () => {
+    const now = new Date();
+    let changed = false;
+
+    for (const schedule of schedules) {
+      if (!schedule.nextRunAt || new Date(schedule.nextRunAt) > now) continue;
+
+      // A schedule whose cron no longer parses (e.g. a hand-edited file) is
+      // parked rather than fired, and the rest still run
+      let next;
+      try {
+        next = nextRun(parseCron(schedule.cron), now);
+      } catch (err) {
+        console.error("[schedules] bad schedule", schedule.id, err.message);
+        schedule.nextRunAt = null;
+        changed = true;
+        continue;
+      }
+
+      const late = now - new Date(schedule.nextRunAt);
+      if (late <= CATCHUP_MS) {
+        schedule.lastRunAt = now.toISOString();
+        Promise.resolve()
+          .then(() => onDue(schedule))
+          .catch((err) => console.error("[schedules] run failed", schedule.id, err?.data?.error ?? err.message));
+      } else {
+        console.log("[schedules] skipping missed run", schedule.id, "due", schedule.nextRunAt);
+      }
+
+      schedule.nextRunAt = next?.toISOString() ?? null;
+      changed = true;
+    }
+
+    if (changed) save();
+  };
+
+  tick();
+  setInterval(tick, TICK_MS);
+}
@@ -0,0 +1,210 @@
+/**
+ * Shared scheduler for streaming chat.update / chat.postMessage calls.
+ *
+ * Every active run sends its message updates through one scheduler, which:
+ *  - coalesces pending updates per message (only the newest content is sent,
+ *    and content identical to what Slack already shows is skipped)
+ *  - spaces calls per channel, across all runs streaming into it
+ *  - honours Retry-After when Slack rate-limits us, pausing all calls
+ *  - retries final updates (and follow-up posts) until they land
+ *
+ * It uses its own WebClient with rate-limit rejection turned on, so a
+ * rate-limited call comes back to us instead of blocking inside the client.
+ */
+
+import pkg from "@slack/bolt";
+const { WebClient, ErrorCode } = pkg.webApi;
+
+// Attempts for calls that must land (final updates, posts); rate-limit waits don't count
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 1000;
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.token             - bot token
+ * @param {number} opts.channelIntervalMs - minimum gap between calls in one channel
+ */
+export function createUpdateScheduler({ token, channelIntervalMs }) {
+  const client = new WebClient(token, {
+    rejectRateLimitedCalls: true,
+    retryConfig: { retries: 0 },
+  });
+
+  const channels = new Map(); // channel → { jobs: Map<key, job>, lastCallAt, running }
+  const delivered = new Map(); // message ts → JSON of the blocks Slack shows
+  let pausedUntil = 0; // set from Retry-After
+  let postSeq = 0;
+
+  function channelState(channel) {
+    let state = channels.get(channel);
+    if (!state) {
+      state = { jobs: new Map(), lastCallAt: 0, running: false };
+      channels.set(channel, state);
+    }
+    return state;
+  }
+
+  function enqueue(channel, key, job) {
+    const state = channelState(channel);
+    const queued = state.jobs.get(key);
+    if (queued) {
+      // Newer content replaces older; everyone waiting gets the newest result
+      queued.payload = job.payload;
+      queued.final ||= job.final;
+      queued.waiters.push(...job.waiters);
+    } else {
+      state.jobs.set(key, job);
+    }
+    drain(channel, state);
+  }
+
+  async function drain(channel, state) {
+    if (state.running) return;
+    state.running = true;
+
+    while (state.jobs.size > 0) {
+      const [key, job] = state.jobs.entries().next().value;
+
+      // Slack already shows this content — no call needed
+      if (job.kind === "update" && delivered.get(job.payload.ts) === JSON.stringify(job.payload.blocks)) {
+        state.jobs.delete(key);
+        for (const w of job.waiters) w.resolve(null);
+        continue;
+      }
+
+      const wait = Math.max(state.lastCallAt + channelIntervalMs, pausedUntil, job.notBefore) - Date.now();
+      if (wait > 0) {
+        // The head may change while we wait (merged or requeued), so look again
+        await sleep(wait);
+        continue;
+      }
+      state.jobs.delete(key);
+
+      try {
+        const result = await send(job);
+        state.lastCallAt = Date.now();
+        for (const w of job.waiters) w.resolve(result);
+      } catch (err) {
+        state.lastCallAt = Date.now();
+        retryOrFail(state, key, job, err);
+      }
+    }
+
+    state.running = false;
+  }
+
+  async function send(job) {
+    if (job.kind === "post") {
+      return client.chat.postMessage(job.payload);
+    }
+    const result = await client.chat.update(job.payload);
+    delivered.set(job.payload.ts, JSON.stringify(job.payload.blocks));
+    return result;
+  }
+
+  function retryOrFail(state, key, job, err) {
+    const retryAfter = retryAfterMs(err);
+    if (retryAfter !== null) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + retryAfter);
+      console.warn(`[slack updates] rate limited — pausing ${Math.round(retryAfter / 1000)}s`);
+      requeueFront(state, key, job);
+      return;
+    }
+
+    job.attempts++;
+    if (job.final && job.attempts < MAX_ATTEMPTS) {
+      console.warn("[slack updates] retrying", job.kind, err?.data?.error ?? err.message);
+      job.notBefore = Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1);
+      requeueFront(state, key, job);
+      return;
+    }
+
+    console.error("[slack update error]", err?.data?.error ?? err.message);
+    // Only callers that asked for a final update hear about the failure
+    for (const w of job.waiters) {
+      if (w.final) w.reject(err);
+      else w.resolve(null);
+    }
+  }
+
+  // Put a job back at the head of its channel's queue, merging it with any
+  // newer content queued for the same message meanwhile
+  function requeueFront(state, key, job) {
+    const newer = state.jobs.get(key);
+    if (newer) {
+      newer.final ||= job.final;
+      newer.waiters.unshift(...job.waiters);
+      newer.attempts = Math.max(newer.attempts, job.attempts);
+      newer.notBefore = job.notBefore;
+      state.jobs.delete(key);
+      job = newer;
+    }
+    state.jobs = new Map([[key, job], ...state.jobs]);
+  }
+
+  return {
+    /**
+     * Queues an update of an existing message. Resolves once the content
+     * (or newer content for the same message) is shown. Final updates are
+     * retried and reject only if they still can't be delivered; a streaming
+     * update resolves with null instead, even if it was merged into a final one.
+     *
+     * @param {{channel: string, ts: string, text: string, blocks: object[]}} payload
+     * @param {{final?: boolean}} [opts]
+     * @returns {Promise<object|null>}
+     */
+    update(payload, { final = false } = {}) {
+      return new Promise((resolve, reject) => {
+        enqueue(payload.channel, `update:${payload.ts}`, {
+          kind: "update",
+          payload,
+          final,
+          attempts: 0,
+          notBefore: 0,
+          waiters: [{ resolve, reject, final }],
+        });
+      });
+    },
+
+    /**
+     * Queues a new message (e.g. a follow-up page). Always retried.
+     *
+     * @param {{channel: string, thread_ts?: string, text: string, blocks?: object[]}} payload
+     * @returns {Promise<object>} the chat.postMessage result
+     */
+    post(payload) {
+      return new Promise((resolve, reject) => {
+        enqueue(payload.channel, `post:${++postSeq}`, {
+          kind: "post",
+          payload,
+          final: true,
+          attempts: 0,
+          notBefore: 0,
+          waiters: [{ resolve, reject, final: true }],
+        });
+      });
+    },
+
+    /**
+     * Forgets what was delivered to these messages (call when a run ends).
+     * @param {string[]} tsList
+     */
+    forget(tsList) {
+      for (const ts of tsList) delivered.delete(ts);
+    },
+  };
+}
+
+function retryAfterMs(err) {
+  if (err?.code === ErrorCode.RateLimitedError) {
+    return (err.retryAfter || 1) * 1000;
+  }
+  if (err?.data?.error === "ratelimited") {
+    return 1000;
+  }
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -1,20 +1,54 @@
 /**
- * In-memory store mapping Slack threads to OpenCode sessions.
+ * Store mapping Slack threads to OpenCode sessions.
  *
  * Each thread tracks:
  *  - sessionID:      the OpenCode session to --session continue with
+ *  - forkOf:         session to fork on the first run (a forked thread that hasn't run yet)
  *  - directory:      the working directory for this conversation
+ *  - channel:        the channel the thread lives in (set once it runs)
  *  - model:          model override for this thread (null = default)
  *  - agent:          agent override for this thread (null = default)
+ *  - verbosity:      how much of each run to show: quiet / normal / verbose (null = verbose)
  *  - busy:           whether a request is currently in-flight
- *  - queue:          messages that arrived while busy (played in order)
+ *  - queue:          { id, message, files, command, user, notice } that arrived
+ *                    while busy (played in order; notice = the "Queued" message)
  *  - pendingMessage: the user's first message, held while they pick a folder
+ *  - pendingFiles:   Slack attachments of that first message (not yet downloaded)
  *  - pendingCommand: slash command pending folder selection (e.g. "init")
  *  - pickerTs:       ts of the folder-picker message (for updating it)
  *  - browsePath:     current path in the folder browser
+ *  - undo:           snapshot taken before the last run, while it can be undone (see undo.js)
+ *  - worktree:       the thread's own git worktree, if isolation is on (see worktree.js)
+ *  - budgetHold:     { message, command, user } stopped by a budget, waiting for !continue
+ *  - budgetWaiver:   spend recorded when someone last continued past a budget
+ *  - lastActivityAt: ISO time a run last started or finished in the thread
+ *  - lastResponseTs: ts of the last message of the latest response
+ *
+ * Backend is chosen with OPENCODE_STORE:
+ *  - "memory" (default): plain Map, lost on restart
+ *  - "file":             Map backed by an append-only JSON journal in the
+ *                        data directory, replayed on startup
+ *
+ * Transient fields (busy, queue) are never journaled and are reset on load,
+ * since no run survives a restart.
  */
 
+import fs from "node:fs";
+import { dataPath } from "./data-dir.js";
+
+const BACKEND = process.env.OPENCODE_STORE || "memory";
+
+// Fields that only make sense for the lifetime of the process
+const TRANSIENT = {
+  busy: false,
+  queue: [],
+};
+
+// Rewrite the journal once it holds this many redundant entries
+const COMPACT_SLACK = 500;
+
 const threads = new Map();
+const journal = BACKEND === "file" ? openJournal(dataPath("threads.jsonl")) : null;
 
 export function getThread(threadTs) {
   return threads.get(threadTs) ?? null;
@@ -23,25 +57,124 @@ export function getThread(threadTs) {
 export function upsertThread(threadTs, patch) {
   const existing = threads.get(threadTs) ?? {
     sessionID: null,
+    forkOf: null,
     directory: null,
+    channel: null,
     model: null,
     agent: null,
+    verbosity: null,
     busy: false,
     queue: [],
     pendingMessage: null,
+    pendingFiles: [],
     pendingCommand: null,
     pickerTs: null,
     browsePath: null,
+    worktree: null,
+    undo: null,
+    budgetHold: null,
+    budgetWaiver: null,
+    lastActivityAt: null,
+    lastResponseTs: null,
   };
   const updated = { ...existing, ...patch };
   threads.set(threadTs, updated);
+  journal?.put(threadTs, updated);
   return updated;
 }
 
 export function deleteThread(threadTs) {
   threads.delete(threadTs);
+  journal?.delete(threadTs);
 }
 
 export function allThreads() {
   return [...threads.entries()];
 }
+
+// ── File journal ──────────────────────────────────────────────────────
+
+/**
+ * Opens (and replays) a JSON-lines journal of thread records.
+ * Each line is either {op:"put", threadTs, thread} or {op:"del", threadTs}.
+ */
+function openJournal(file) {
+  // Last serialized record per thread, to skip writes for transient-only changes
+  const written = new Map();
+  let entries = 0;
+
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // Torn write from a crash — skip it
+        console.error("[store] skipping corrupt journal line");
+        continue;
+      }
+      if (entry.op === "put") {
+        threads.set(entry.threadTs, { ...entry.thread, ...structuredClone(TRANSIENT) });
+        written.set(entry.threadTs, JSON.stringify(entry.thread));
+      } else if (entry.op === "del") {
+        threads.delete(entry.threadTs);
+        written.delete(entry.threadTs);
+      }
+    }
+    console.log(`[store] loaded ${threads.size} thread(s) from ${file}`);
+  }
+
+  compact();
+
+  function persisted(thread) {
+    const record = { ...thread };
+    for (const key of Object.keys(TRANSIENT)) delete record[key];
+    return record;
+  }
+
+  function append(entry) {
+    try {
+      fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+    } catch (err) {
+      console.error("[store] journal write failed", err.message);
+      return;
+    }
+    entries++;
+    if (entries > threads.size + COMPACT_SLACK) compact();
+  }
+
+  // Rewrite the journal as one "put" per live thread
+  function compact() {
+    const tmp = `${file}.tmp`;
+    const lines = [];
+    for (const [threadTs, thread] of threads) {
+      const record = persisted(thread);
+      lines.push(JSON.stringify({ op: "put", threadTs, thread: record }));
+    }
+    try {
+      fs.writeFileSync(tmp, lines.length ? lines.join("\n") + "\n" : "");
+      fs.renameSync(tmp, file);
+      entries = lines.length;
+    } catch (err) {
+      console.error("[store] journal compaction failed", err.message);
+    }
+  }
+
+  return {
+    put(threadTs, thread) {
+      const record = persisted(thread);
+      const serialized = JSON.stringify(record);
+      if (written.get(threadTs) === serialized) return;
+      written.set(threadTs, serialized);
+      append({ op: "put", threadTs, thread: record });
+    },
+
+    delete(threadTs) {
+      if (!written.has(threadTs)) return;
+      written.delete(threadTs);
+      append({ op: "del", threadTs });
+    },
+  };
+}
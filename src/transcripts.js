@@ -0,0 +1,182 @@
+/**
+ * Complete per-thread transcripts behind `!export`, kept in the data
+ * directory (transcripts/<thread>.jsonl).
+ *
+ * The Slack rendering truncates and splits things; the transcript keeps
+ * every run's prompt and its raw OpenCode events, one JSON line each:
+ *   { type: "run", at, prompt, command, user, directory, model, agent, sessionID }
+ *   { type: "event", event }   - an OpenCode JSON event, verbatim
+ *   { type: "end", at, status, sessionID, usage, error? }
+ */
+
+import fs from "node:fs";
+import { dataPath } from "./data-dir.js";
+
+function transcriptFile(threadTs) {
+  return dataPath("transcripts", `${threadTs}.jsonl`);
+}
+
+/**
+ * Starts recording one run of a thread.
+ *
+ * @param {string} threadTs
+ * @param {{prompt: string, command?: string|null, user?: string|null, directory: string,
+ *          model: string, agent?: string|null, sessionID?: string|null}} run
+ * @returns {{push: (event: object) => void, finish: (end: object) => void}}
+ */
+export function startTranscript(threadTs, run) {
+  const file = transcriptFile(threadTs);
+  const append = (entry) => {
+    try {
+      fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+    } catch (err) {
+      console.error("[transcripts] write failed", err.message);
+    }
+  };
+
+  append({ type: "run", at: new Date().toISOString(), ...run });
+  return {
+    push(event) {
+      append({ type: "event", event });
+    },
+    finish(end) {
+      append({ type: "end", at: new Date().toISOString(), ...end });
+    },
+  };
+}
+
+/**
+ * Reads a thread's transcript as a list of runs, oldest first. A run that
+ * never finished (e.g. the bot restarted mid-run) has `end: null`.
+ *
+ * @param {string} threadTs
+ * @returns {Array<object & {events: object[], end: object|null}>}
+ */
+export function readTranscript(threadTs) {
+  const file = transcriptFile(threadTs);
+  if (!fs.existsSync(file)) return [];
+
+  const runs = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      // Torn write from a crash — skip it
+      continue;
+    }
+    const { type, ...rest } = entry;
+    const current = runs[runs.length - 1];
+    if (type === "run") runs.push({ ...rest, events: [], end: null });
+    else if (type === "event" && current) current.events.push(rest.event);
+    else if (type === "end" && current) current.end = rest;
+  }
+  return runs;
+}
+
+/**
+ * @param {string} threadTs
+ */
+export function deleteTranscript(threadTs) {
+  fs.rmSync(transcriptFile(threadTs), { force: true });
+}
+
+/**
+ * Renders runs as a Markdown document: prompts, response text, thinking,
+ * every tool call with its full input and output, and per-run usage.
+ *
+ * @param {object[]} runs - from readTranscript
+ * @param {{title: string}} opts
+ * @returns {string}
+ */
+export function transcriptMarkdown(runs, { title }) {
+  const out = [`# ${title}`, ""];
+
+  runs.forEach((run, i) => {
+    out.push(`## Run ${i + 1} — ${run.at}`, "");
+    const meta = [
+      run.user && `**User:** ${run.user}`,
+      `**Directory:** \`${run.directory}\``,
+      `**Model:** ${run.model}`,
+      run.agent && `**Agent:** ${run.agent}`,
+    ].filter(Boolean);
+    out.push(meta.join(" · "), "");
+
+    out.push("### Prompt", "");
+    out.push(run.command ? `\`/${run.command}\`` : quote(run.prompt), "");
+
+    out.push("### Response", "");
+    out.push(...renderEvents(run.events));
+
+    out.push("### Result", "");
+    out.push(describeEnd(run.end), "", "---", "");
+  });
+
+  return out.join("\n");
+}
+
+function renderEvents(events) {
+  const out = [];
+  let text = "";
+  const flush = () => {
+    if (text) out.push(text, "");
+    text = "";
+  };
+
+  for (const { type, part } of events) {
+    switch (type) {
+      case "text":
+        text += part?.text ?? "";
+        break;
+      case "step_start":
+        flush();
+        break;
+      case "thinking":
+        flush();
+        out.push(quote(`**Thinking:** ${part?.thinking ?? part?.text ?? ""}`), "");
+        break;
+      case "tool_use": {
+        flush();
+        const state = part?.state ?? {};
+        const output = typeof state.output === "string" ? state.output : JSON.stringify(state.output ?? "", null, 2);
+        out.push(`#### Tool: ${part?.tool ?? "unknown"}${state.title ? ` — ${state.title}` : ""} (${state.status ?? "unknown"})`, "");
+        out.push("Input:", "", fenced(JSON.stringify(state.input ?? {}, null, 2), "json"), "");
+        if (output) out.push("Output:", "", fenced(output), "");
+        if (state.error) out.push("Error:", "", fenced(String(state.error)), "");
+        break;
+      }
+    }
+  }
+  flush();
+  return out;
+}
+
+function describeEnd(end) {
+  if (!end) return "_No result recorded (the run was interrupted)._";
+  const u = end.usage ?? {};
+  const parts = [
+    `**Status:** ${end.status}`,
+    end.sessionID && `**Session:** \`${end.sessionID}\``,
+    `**Tokens:** ${u.input ?? 0} in / ${u.output ?? 0} out / ${u.reasoning ?? 0} reasoning / ${u.cacheRead ?? 0} cache read / ${u.cacheWrite ?? 0} cache write`,
+    `**Cost:** $${(u.cost ?? 0).toFixed(4)}`,
+    `**Finished:** ${end.at}`,
+  ].filter(Boolean);
+  const lines = [parts.join(" · ")];
+  if (end.error) lines.push("", fenced(end.error));
+  return lines.join("\n");
+}
+
+function quote(text) {
+  return (text ?? "")
+    .split("\n")
+    .map((line) => `> ${line}`)
+    .join("\n");
+}
+
+// A code fence longer than any backtick run inside the text
+function fenced(text, lang = "") {
+  const longest = Math.max(2, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  const fence = "`".repeat(longest + 1);
+  return `${fence}${lang}\n${text}\n${fence}`;
+}
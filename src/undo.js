@@ -0,0 +1,174 @@
+/**
+ * Pre-run snapshots of a git working tree, so a run's file changes can be
+ * rolled back.
+ *
+ * A snapshot is a git tree of every non-ignored file as it was before the
+ * run, built with a throwaway index (the real index and HEAD are never
+ * touched) and kept alive under refs/opencode-slack/undo/<thread>. When the
+ * run ends, the tree as it left things is recorded next to it (<ref>-after),
+ * so undo reverts exactly the paths the run changed — and refuses if any of
+ * them was changed again since. Each thread keeps only its latest snapshot:
+ * undoing an older run would also throw away the runs after it.
+ *
+ * Directories outside a git repository can't be snapshotted.
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { git, repoRoot } from "./git.js";
+
+const REF_PREFIX = "refs/opencode-slack/undo/";
+
+// checkout-index paths per call, to stay clear of argv limits
+const PATHS_PER_CALL = 200;
+
+let indexSeq = 0;
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} root       - repository top level
+ * @property {string} tree       - git tree of the pre-run state
+ * @property {string} ref        - ref keeping the tree alive
+ * @property {string} [after]    - git tree of the post-run state (see finishSnapshot)
+ * @property {string} [afterRef] - ref keeping that tree alive
+ */
+
+/**
+ * Records the current state of the repository `dir` is in.
+ * Resolves null outside a git repository.
+ *
+ * @param {{dir: string, threadTs: string}} opts
+ * @returns {Promise<Snapshot|null>}
+ */
+export async function takeSnapshot({ dir, threadTs }) {
+  const root = await repoRoot(dir);
+  if (!root) return null;
+
+  const tree = await stateTree(root);
+  const ref = `${REF_PREFIX}${threadTs.replace(/\./g, "-")}`;
+  await git(root, ["update-ref", ref, tree]);
+  return { root, tree, ref };
+}
+
+/**
+ * Records the state the run left the repository in. Resolves the completed
+ * snapshot and the files the run changed (git's A / M / D status).
+ *
+ * @param {Snapshot} snapshot
+ * @returns {Promise<{snapshot: Snapshot, changes: Array<{path: string, status: string}>}>}
+ */
+export async function finishSnapshot(snapshot) {
+  const after = await stateTree(snapshot.root);
+  const afterRef = `${snapshot.ref}-after`;
+  await git(snapshot.root, ["update-ref", afterRef, after]);
+  const done = { ...snapshot, after, afterRef };
+  return { snapshot: done, changes: await diffTrees(snapshot.root, snapshot.tree, after) };
+}
+
+/**
+ * Puts every file the run touched back the way the snapshot has it:
+ * modified and deleted files are restored, files it created are removed.
+ * Nothing else in the working tree is touched. If any of those files has
+ * changed again since the run, nothing is reverted and they are returned
+ * as conflicts.
+ *
+ * @param {Snapshot} snapshot - finished with finishSnapshot
+ * @returns {Promise<{reverted: Array<{path: string, action: "restored"|"deleted"}>, conflicts: string[]}>}
+ */
+export async function restoreSnapshot(snapshot) {
+  if (!snapshot.after) {
+    throw new Error("this run's end state wasn't recorded, so its changes can't be told apart from later ones");
+  }
+
+  const changes = await diffTrees(snapshot.root, snapshot.tree, snapshot.after);
+  const since = new Set((await diffTrees(snapshot.root, snapshot.after, await stateTree(snapshot.root))).map((c) => c.path));
+  const conflicts = changes.filter((c) => since.has(c.path)).map((c) => c.path);
+  if (conflicts.length) return { reverted: [], conflicts };
+
+  const restore = changes.filter((c) => c.status !== "A").map((c) => c.path);
+  const remove = changes.filter((c) => c.status === "A").map((c) => c.path);
+
+  if (restore.length) {
+    await withTempIndex(async (env) => {
+      await git(snapshot.root, ["read-tree", snapshot.tree], { env });
+      for (let i = 0; i < restore.length; i += PATHS_PER_CALL) {
+        await git(snapshot.root, ["checkout-index", "-f", "--", ...restore.slice(i, i + PATHS_PER_CALL)], { env });
+      }
+    });
+  }
+
+  for (const file of remove) {
+    const abs = path.join(snapshot.root, file);
+    fs.rmSync(abs, { force: true });
+    removeEmptyParents(path.dirname(abs), snapshot.root);
+  }
+
+  console.log("[undo] restored", restore.length, "removed", remove.length, "in", snapshot.root);
+  return {
+    reverted: [
+      ...restore.map((p) => ({ path: p, action: "restored" })),
+      ...remove.map((p) => ({ path: p, action: "deleted" })),
+    ],
+    conflicts: [],
+  };
+}
+
+/**
+ * Deletes the refs holding a snapshot (the trees are then garbage-collected).
+ *
+ * @param {Snapshot} snapshot
+ */
+export async function dropSnapshot(snapshot) {
+  for (const ref of [snapshot.ref, snapshot.afterRef].filter(Boolean)) {
+    await git(snapshot.root, ["update-ref", "-d", ref]).catch((err) => {
+      console.error("[undo] drop failed", err.message);
+    });
+  }
+}
+
+// NUL-separated status / path pairs, so paths come through unquoted
+async function diffTrees(root, from, to) {
+  const out = await git(root, ["diff-tree", "-r", "-z", "--no-renames", "--name-status", from, to]);
+  const fields = out.split("\0").filter(Boolean);
+  const changes = [];
+  for (let i = 0; i + 1 < fields.length; i += 2) {
+    changes.push({ status: fields[i][0], path: fields[i + 1] });
+  }
+  return changes;
+}
+
+// Tree of the working tree as `git add -A` would stage it. Starting from a
+// copy of the real index keeps git's stat cache, so unchanged files are cheap.
+async function stateTree(root) {
+  return withTempIndex(async (env) => {
+    const index = path.resolve(root, await git(root, ["rev-parse", "--git-path", "index"]));
+    if (fs.existsSync(index)) {
+      fs.copyFileSync(index, env.GIT_INDEX_FILE);
+    } else {
+      await git(root, ["read-tree", "HEAD"], { env });
+    }
+    await git(root, ["add", "-A"], { env });
+    return git(root, ["write-tree"], { env });
+  });
+}
+
+async function withTempIndex(fn) {
+  const file = path.join(os.tmpdir(), `opencode-slack-index-${process.pid}-${++indexSeq}`);
+  try {
+    return await fn({ GIT_INDEX_FILE: file });
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+function removeEmptyParents(dir, root) {
+  while (dir.startsWith(root + path.sep)) {
+    try {
+      fs.rmdirSync(dir);
+    } catch {
+      return; // not empty (or already gone)
+    }
+    dir = path.dirname(dir);
+  }
+}
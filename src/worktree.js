@@ -0,0 +1,145 @@
+/**
+ * Per-thread git worktrees, so threads pointed at the same repository don't
+ * step on each other's edits.
+ *
+ * Opt-in with OPENCODE_WORKTREES=true. When a thread picks a folder inside a
+ * git repository, it gets its own worktree on a new branch
+ * (opencode/slack-<thread>) and runs there instead of in the checkout.
+ * Worktrees live in the repository's git dir (.git/opencode-worktrees/), so
+ * they stay inside the directory scopes of anyone allowed in the repo.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { git, repoRoot } from "./git.js";
+
+export const WORKTREES_ENABLED = process.env.OPENCODE_WORKTREES === "true";
+
+const BRANCH_PREFIX = "opencode/";
+
+/**
+ * @typedef {Object} Worktree
+ * @property {string} repo   - top level of the original checkout
+ * @property {string} path   - the worktree's top level
+ * @property {string} branch - branch checked out in the worktree
+ * @property {string} base   - branch it was created from ("HEAD" if detached)
+ * @property {string} subdir - the picked folder, relative to the repo top level
+ */
+
+/**
+ * Creates a worktree for a thread if `dir` is inside a git repository.
+ * Resolves null when it isn't (or the repo has no commits yet).
+ *
+ * @param {{dir: string, threadTs: string}} opts
+ * @returns {Promise<Worktree|null>}
+ */
+export async function createWorktree({ dir, threadTs }) {
+  const repo = await repoRoot(dir);
+  if (!repo) return null;
+
+  const commonDir = path.resolve(repo, await git(repo, ["rev-parse", "--git-common-dir"]));
+  const base = await git(repo, ["rev-parse", "--abbrev-ref", "HEAD"]);
+  const name = `slack-${threadTs.replace(/\./g, "-")}`;
+  const branch = `${BRANCH_PREFIX}${name}`;
+  const worktreePath = path.join(commonDir, "opencode-worktrees", name);
+
+  await git(repo, ["worktree", "add", "-b", branch, worktreePath, "HEAD"]);
+  console.log("[worktree] created", worktreePath, "on", branch, "from", base);
+
+  return {
+    repo,
+    path: worktreePath,
+    branch,
+    base,
+    subdir: path.relative(repo, fs.realpathSync(dir)),
+  };
+}
+
+/**
+ * The directory runs should use: the picked folder, inside the worktree.
+ *
+ * @param {Worktree} worktree
+ * @returns {string}
+ */
+export function worktreeDir(worktree) {
+  return path.join(worktree.path, worktree.subdir);
+}
+
+/**
+ * What the worktree holds that the base branch doesn't.
+ *
+ * @param {Worktree} worktree
+ * @returns {Promise<{commits: number, changedFiles: string[]}>}
+ */
+export async function worktreeStatus(worktree) {
+  const porcelain = await git(worktree.path, ["status", "--porcelain"]);
+  const changedFiles = porcelain ? porcelain.split("\n").map((l) => l.slice(3)) : [];
+  const commits = worktree.base === "HEAD"
+    ? 0
+    : Number(await git(worktree.repo, ["rev-list", "--count", `${worktree.base}..${worktree.branch}`]));
+  return { commits, changedFiles };
+}
+
+/**
+ * Commits anything left uncommitted in the worktree, then merges its branch
+ * into the base branch of the original checkout. The worktree is kept, so
+ * the thread can go on working and merge again later.
+ *
+ * @param {Worktree} worktree
+ * @param {{message: string}} opts - commit message for uncommitted changes
+ * @returns {Promise<{committed: boolean, merged: boolean}>} merged is false
+ *   when there was nothing to merge
+ */
+export async function mergeWorktree(worktree, { message }) {
+  if (worktree.base === "HEAD") {
+    throw new Error(`the worktree was created from a detached HEAD — merge \`${worktree.branch}\` by hand`);
+  }
+
+  let current;
+  try {
+    current = await git(worktree.repo, ["symbolic-ref", "--short", "HEAD"]);
+  } catch {
+    current = "HEAD";
+  }
+  if (current !== worktree.base) {
+    throw new Error(`\`${worktree.repo}\` has \`${current}\` checked out, not \`${worktree.base}\``);
+  }
+
+  let committed = false;
+  if (await git(worktree.path, ["status", "--porcelain"])) {
+    await git(worktree.path, ["add", "-A"]);
+    await git(worktree.path, ["commit", "-m", message]);
+    committed = true;
+  }
+
+  const ahead = Number(await git(worktree.repo, ["rev-list", "--count", `${worktree.base}..${worktree.branch}`]));
+  if (ahead === 0) return { committed, merged: false };
+
+  try {
+    await git(worktree.repo, ["merge", "--no-ff", "--no-edit", worktree.branch]);
+  } catch (err) {
+    await git(worktree.repo, ["merge", "--abort"]).catch(() => {});
+    throw new Error(`merge failed, nothing was changed: ${err.message}`);
+  }
+  console.log("[worktree] merged", worktree.branch, "into", worktree.base);
+  return { committed, merged: true };
+}
+
+/**
+ * Removes the worktree and deletes its branch, dropping unmerged work.
+ *
+ * @param {Worktree} worktree
+ */
+export async function removeWorktree(worktree) {
+  try {
+    await git(worktree.repo, ["worktree", "remove", "--force", worktree.path]);
+  } catch (err) {
+    // Already gone from disk — just forget it
+    console.error("[worktree] remove failed", err.message);
+    await git(worktree.repo, ["worktree", "prune"]).catch(() => {});
+  }
+  await git(worktree.repo, ["branch", "-D", worktree.branch]).catch((err) => {
+    console.error("[worktree] branch delete failed", err.message);
+  });
+  console.log("[worktree] removed", worktree.path);
+}